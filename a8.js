@@ -3,70 +3,818 @@
  * Оптимизированная версия, объединяющая функциональность из трех файлов
  *
  * Единый источник правды для всех данных календаря.
- * Все взаимодействия с localStorage происходят только через методы этого класса.
+ * Все взаимодействия с хранилищем происходят только через StorageManager.
+ *
+ * Логика цен, блокировок и диапазонов находится в calendar-model.mjs (CalendarModel),
+ * этот файл привязывает модель к разметке Webflow. Модель подключается первой:
+ *     <script type="module" src="calendar-model.mjs"></script>
+ *     <script src="a8.js"></script>
+ *
+ * Экземпляры, созданные при загрузке документа, доступны скриптам страницы:
+ *     window.calendarManagers[listingId]   (для календаря без listingId - ключ '')
+ *     rootElement.calendarManager
+ * События всплывают до document, поэтому подписаться можно и до создания экземпляра:
+ *     document.addEventListener('calendar:ready', event => {
+ *         const manager = window.calendarManagers[event.detail.listingId];
+ *         manager.on('calendar:block', e => console.log(e.detail.ranges));
+ *         manager.getQuote();
+ *     });
+ *
+ * Данные каждого календаря хранятся в пространстве имен его listingId. Записи, сохраненные
+ * до добавления listingId, однократно копируются в первое открытое объявление
+ * (см. StorageManager.adoptLegacyKeys).
  */
 
-// Константы для работы с датами
-const MONTH_MAP = {
-    'January': '01', 'February': '02', 'March': '03', 'April': '04',
-    'May': '05', 'June': '06', 'July': '07', 'August': '08',
-    'September': '09', 'October': '10', 'November': '11', 'December': '12'
+// Локаль по умолчанию: названия месяцев и дней недели, форматы дат и цен
+// (переопределяется через options.locale или window.calendarSettings.locale)
+const DEFAULT_LOCALE = 'ru-RU';
+
+// Подписи и цвета категорий блокировок (ключи - значения BLOCK_CATEGORIES из calendar-model.mjs).
+// Переопределяются через options.blockCategories или window.calendarSettings.blockCategories
+const DEFAULT_BLOCK_CATEGORY_STYLES = {
+    booked: { label: 'Бронирование', color: '#090633' },
+    owner: { label: 'Проживание владельца', color: '#6941C6' },
+    maintenance: { label: 'Обслуживание', color: '#B54708' },
+    hold: { label: 'Придержано', color: '#667085' }
+};
+
+// Селекторы элементов разметки по умолчанию.
+// Переопределяются через options.selectors или window.calendarSettings.selectors
+const DEFAULT_SELECTORS = {
+    dayWrapper: '.calendar_day-wrapper',                                        // Обертка дня
+    day: '[day]',                                                               // Номер дня внутри обертки
+    servicePrice: '[service-price]',                                            // Цена дня
+    priceCurrency: '[price-currency]',                                          // Валюта цены дня (заполняется символом валюты)
+    dayPrice: '.calendar_day-price',                                            // Цена дня (старая разметка)
+    currentMonthYear: '[current_month_year]',                                   // Заголовок месяца и года
+    weekdayHeader: '.calendar_day-header, [calendar-weekday]',                  // Заголовки дней недели (по порядку колонок)
+    monthTitle: '[calendar-month]',                                             // Название месяца
+    monthContainer: '.calendar_month',                                          // Контейнер месяца
+    calendarWrapper: '.calendar_wrapper',                                       // Обертка календаря
+    daysWrapper: '.calendar_days-wrapper',                                      // Контейнер дней
+    monthView: '[calendar-month-view]',                                         // Месяц многомесячного вида (заголовок, дни недели и дни); клонируется
+    viewTitle: '[calendar-view-title]',                                         // Заголовок месяца внутри calendar-month-view
+    yearView: '[calendar-year-view]',                                           // Годовой обзор (заполняется скриптом)
+    prevButton: '.calendar_prev, [calendar-prev]',                              // Кнопка предыдущего месяца
+    nextButton: '.calendar_next, [calendar-next]',                              // Кнопка следующего месяца
+    chosenContainer: '[calendar-choosen]',                                      // Блок выбранных дат
+    chosenDates: '[chosen-dates]',                                              // Список выбранных дат
+    chosenCancel: '[calendar-choosen-cancel]',                                  // Отмена последнего диапазона
+    chosenTotal: '[chosen-total]',                                              // Итоговая стоимость выбранного диапазона
+    chosenBreakdown: '[chosen-breakdown]',                                      // Расчет стоимости по дням, сборам и налогам
+    settingsPanel: '.calendar_settings',                                        // Панель настроек
+    applyButton: '[calendar-apply-button]',                                     // Кнопка применения
+    openButton: '[button_open]',                                                // Режим скидки
+    blockButton: '[button_block]',                                              // Режим блокировки
+    unblockButton: '[button_unblock]',                                          // Режим открытия заблокированных дат
+    blockCategoryInput: '[name="block_category"]',                              // Категория блокировки (booked, owner, maintenance, hold)
+    blockLabelInput: 'input[name="block_label"]',                               // Подпись блокировки
+    blockLegend: '[block-legend]',                                              // Легенда категорий блокировок (заполняется скриптом)
+    cancelButton: '[button_cancel]',                                            // Отмена последнего диапазона
+    clearButton: '[button_clear]',                                              // Очистка всех дат
+    clearDates: '[clear-dates]',                                                // Очистка выбранных дат
+    undoButton: '[button_undo]',                                                // Отмена изменения
+    redoButton: '[button_redo]',                                                // Повтор изменения
+    exportIcsButton: '[button_export_ics]',                                     // Экспорт iCalendar
+    importIcsInput: 'input[type="file"][import_ics]',                           // Импорт iCalendar
+    discountInput: '#Selected-Discount',                                        // Поле скидки для диапазона
+    costPerHourInput: 'input[name="cost_per_hour"]',                            // Поле стоимости за час
+    basePriceInput: 'input[name="base_price"]',                                 // Поле базовой цены
+    weekdayPriceInput: 'input[weekday-price]',                                  // Цена или корректировка дня недели
+    weekendDayInput: 'input[type="checkbox"][weekend-day]',                     // Чекбокс выходного дня недели
+    pricingRulesList: '[pricing-rules-list]',                                   // Список правил ценообразования
+    ruleNameInput: 'input[name="rule_name"]',                                   // Название нового правила
+    ruleStartInput: 'input[name="rule_start"]',                                 // Начало периода правила
+    ruleEndInput: 'input[name="rule_end"]',                                     // Конец периода правила
+    rulePriorityInput: 'input[name="rule_priority"]',                           // Приоритет правила
+    ruleTypeInput: '[name="rule_type"]',                                        // Тип корректировки (fixed, percent, amount)
+    ruleValueInput: 'input[name="rule_value"]',                                 // Значение корректировки
+    addRuleButton: '[button_add_rule]',                                         // Кнопка добавления правила
+    weekStartInput: '[name="week_start"]',                                      // Первый день недели (0 - воскресенье, 1 - понедельник)
+    timezoneInput: '[name="timezone"]',                                         // Часовой пояс объекта (IANA, например Europe/Moscow)
+    currencyInput: '[name="currency"]',                                         // Валюта цен (код ISO 4217)
+    displayCurrencyInput: '[name="display_currency"]',                          // Валюта отображения
+    manualPriceInput: 'input[name="manual_price"]',                             // Цена, задаваемая вручную для диапазона
+    setPriceButton: '[button_set_price]',                                       // Кнопка установки ручной цены
+    noteInput: '[name="day_note"]',                                             // Заметка для выбранного диапазона
+    saveNoteButton: '[button_save_note]',                                       // Кнопка сохранения заметки
+    dayNote: '[day-note]',                                                      // Индикатор заметки внутри обертки дня
+    clearLayerButton: '[button_clear_layer]',                                   // Кнопки удаления слоя цены
+    priceTooltip: '[price-tooltip]'                                             // Подсказка с разбором цены дня (создается, если нет в разметке)
+};
+
+// Имена атрибутов разметки по умолчанию (options.attributes или window.calendarSettings.attributes)
+const DEFAULT_ATTRIBUTES = {
+    day: 'day',                       // Индекс ячейки дня (0-41)
+    listingId: 'calendar-root',       // Корневой элемент календаря, значение - ID объявления
+    importSource: 'import_ics',       // Источник импорта iCalendar
+    exportPrices: 'export-prices',    // Включать цены в экспорт iCalendar
+    ruleRemove: 'rule-remove',        // Кнопка удаления правила в списке (значение - ID правила)
+    weekdayPrice: 'weekday-price',    // День недели поля цены (0 - воскресенье ... 6 - суббота)
+    weekendDay: 'weekend-day',        // День недели чекбокса выходного дня
+    clearLayer: 'button_clear_layer', // Удаляемый слой цены (weekday, discount, override)
+    blockCategory: 'block-category',  // Категория блокировки элемента легенды
+    dateKey: 'date-key',              // Дата ячейки дня YYYY-MM-DD (заполняется при генерации сетки)
+    yearMonth: 'year-month',          // Месяц элемента годового обзора YYYY-MM
+    priceHeat: 'price-heat'           // Уровень цены дня в годовом обзоре (0 - самая низкая ... 4 - самая высокая)
+};
+
+// События календаря: CustomEvent на корневом элементе, данные в event.detail
+// (в detail всегда есть listingId; подписка через manager.on/off)
+const CALENDAR_EVENTS = {
+    RANGE_SELECT: 'calendar:range-select',     // {range, ranges}
+    RANGE_CANCEL: 'calendar:range-cancel',     // {range, ranges}
+    BLOCK: 'calendar:block',                   // {ranges, price, source, category, label}
+    UNBLOCK: 'calendar:unblock',               // {ranges, dates}
+    DISCOUNT: 'calendar:discount',             // {ranges | days, discount, price, weekends} (days - выходные дни недели)
+    PRICE_OVERRIDE: 'calendar:price-override', // {ranges, price}
+    PRICE_LAYER_CLEAR: 'calendar:price-layer-clear', // {layer, range}
+    NOTE: 'calendar:note',                     // {ranges, text} (пустой text - заметка удалена)
+    CLEAR: 'calendar:clear',                   // {defaultPrice}
+    READY: 'calendar:ready',                   // {monthKey} (экземпляр инициализирован)
+    MONTH_CHANGE: 'calendar:month-change',     // {monthKey, previousMonthKey, monthKeys}
+    SETTINGS_SAVE: 'calendar:settings-save',   // {settings}
+    QUOTE: 'calendar:quote'                    // {quote} (null, если диапазон не выбран)
 };
 
-const REVERSE_MONTH_MAP = {
-    '01': 'January', '02': 'February', '03': 'March', '04': 'April',
-    '05': 'May', '06': 'June', '07': 'July', '08': 'August',
-    '09': 'September', '10': 'October', '11': 'November', '12': 'December'
+// Элементы, без которых календарь не может работать
+const REQUIRED_SELECTORS = ['dayWrapper', 'day', 'servicePrice', 'currentMonthYear', 'prevButton', 'nextButton'];
+
+// Текущая версия схемы сохраняемых данных
+const SCHEMA_VERSION = 4;
+
+// Ключи записей, которые сборки без listingId сохраняли без пространства имен
+const LEGACY_STORAGE_KEY_PATTERN = /^(calendarGlobalSettings|blockedDatesMap|monthData-\d{4}-\d{2})$/;
+
+// Ключ без пространства имен: ID объявления, которому уже переданы записи без пространства имен
+const LEGACY_STORAGE_OWNER_KEY = 'calendarLegacyStorageOwner';
+
+/**
+ * Приведение строки даты к формату YYYY-MM-DD
+ * Понимает форматы старых сборок: "DD.MM.YYYY", "YYYY-MM-DD" и временные метки
+ * @param {string|number} value - Дата в одном из поддерживаемых форматов
+ * @returns {string|null} - Дата в формате YYYY-MM-DD или null, если формат не распознан
+ */
+function normalizeDateKey(value) {
+    if (typeof value === 'number' || /^\d{9,}$/.test(String(value))) {
+        // Прежние сборки записывали локальную полночь дня в поясе браузера.
+        // Ближайшая полночь UTC дает тот же день для любого пояса от UTC-12 до UTC+12,
+        // поэтому результат не зависит от пояса, в котором данные читаются.
+        const time = Number(value);
+        if (isNaN(time)) return null;
+        const dayMs = 24 * 60 * 60 * 1000;
+        return new Date(Math.round(time / dayMs) * dayMs).toISOString().slice(0, 10);
+    }
+
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+    if (match) {
+        return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+
+    match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Миграции данных по типам записей.
+ * Элемент с индексом N переводит данные из версии N в версию N + 1.
+ * Версия 0 - данные без версии, записанные любой из прежних сборок скрипта.
+ */
+const SCHEMA_MIGRATIONS = {
+    // Данные месяца: {defaultCost, prices: [{date, price}], discounts: [{date, discount}], notes: [{date, text}]}
+    monthData: [
+        // v0 -> v1: цены хранились либо массивом basePrices[monthKey].prices,
+        // либо объектом calendarData.prices {дата: цена}; даты - в разных форматах
+        data => {
+            const rawPrices = Array.isArray(data.prices)
+                ? data.prices.map(item => [item && item.date, item && item.price])
+                : Object.entries(data.prices || {});
+
+            const prices = [];
+            rawPrices.forEach(([date, price]) => {
+                const dateKey = normalizeDateKey(date);
+                if (dateKey && !prices.some(item => item.date === dateKey)) {
+                    prices.push({ date: dateKey, price: Number(price) || 0 });
+                }
+            });
+
+            // Без собственной цены месяца день получает базовую цену из настроек, поэтому 0 не подставляется
+            const monthData = { prices };
+            if (data.defaultCost !== undefined && data.defaultCost !== null && data.defaultCost !== '') {
+                monthData.defaultCost = Number(data.defaultCost) || 0;
+            }
+            return monthData;
+        },
+        // v1 -> v2: изменений нет
+        null,
+        // v2 -> v3: цены хранятся слоями; prices содержит только ручные цены, скидки диапазонов - в discounts.
+        // До v3 ручных цен не было: prices содержал заполнение и цены со скидкой (диапазона или выходных).
+        // Цены ниже цены месяца восстанавливаются процентными скидками, кроме выходных, которые уже покрыты
+        // ценами по дням недели из настроек (context.settings); остальные цены удаляются.
+        (data, context) => {
+            const defaultCost = data.defaultCost;
+            const weekdayPrices = (context.settings && context.settings.weekdayPrices) || {};
+            const discounts = [...(data.discounts || [])];
+
+            (data.prices || []).forEach(item => {
+                if (!(defaultCost > 0) || !(item.price < defaultCost) || discounts.some(entry => entry.date === item.date)) return;
+
+                const [year, month, day] = item.date.split('-').map(Number);
+                const weekdayPrice = weekdayPrices[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+                if (weekdayPrice && weekdayPrice.type === 'percent' &&
+                    Math.round(defaultCost * (100 + weekdayPrice.value) / 100) === item.price) {
+                    return;
+                }
+
+                const discount = Math.round((1 - item.price / defaultCost) * 100);
+                if (discount > 0 && discount <= 100) {
+                    discounts.push({ date: item.date, discount });
+                }
+            });
+
+            const monthData = { prices: [], discounts };
+            if (defaultCost !== undefined) {
+                monthData.defaultCost = defaultCost;
+            }
+            return monthData;
+        }
+    ],
+
+    // Заблокированные даты: {yearMonth: [{date, price, category, label?, source?}]}
+    blockedDatesMap: [
+        // v0 -> v1: элементы были строками "DD.MM.YYYY" или объектами {date, price}
+        data => {
+            const blockedDates = {};
+            Object.entries(data || {}).forEach(([monthKey, items]) => {
+                if (!Array.isArray(items)) return;
+
+                const [year, month] = monthKey.split('-');
+                const normalizedMonthKey = `${year}-${String(month).padStart(2, '0')}`;
+                const list = blockedDates[normalizedMonthKey] || [];
+
+                items.forEach(item => {
+                    const isObject = typeof item === 'object' && item !== null;
+                    const dateKey = normalizeDateKey(isObject ? item.date : item);
+                    if (dateKey && !list.some(existing => existing.date === dateKey)) {
+                        list.push({ date: dateKey, price: isObject ? Number(item.price) || 0 : 0 });
+                    }
+                });
+
+                blockedDates[normalizedMonthKey] = list;
+            });
+            return blockedDates;
+        },
+        // v1 -> v2 и v2 -> v3: изменений нет
+        null,
+        null,
+        // v3 -> v4: у блокировки появилась категория; импортированные даты - бронирования, остальные - придержаны
+        data => {
+            const blockedDates = {};
+            Object.entries(data || {}).forEach(([monthKey, items]) => {
+                blockedDates[monthKey] = items.map(item => ({
+                    ...item,
+                    category: item.category || (item.source ? 'booked' : 'hold')
+                }));
+            });
+            return blockedDates;
+        }
+    ],
+
+    // Глобальные настройки: {defaultPrice, weekStart, timezone, currency, displayCurrency, weekendDays, weekdayPrices, pricingRules, leadTimeRules, stayDiscounts, quote}
+    globalSettings: [
+        // v0 -> v1: ранние сборки хранили только {defaultCost}
+        data => ({
+            ...data,
+            defaultPrice: Number(data.defaultPrice !== undefined ? data.defaultPrice : data.defaultCost) || 0,
+            weekendDiscount: Number(data.weekendDiscount) || 0,
+            weekendDiscountEnabled: Boolean(data.weekendDiscountEnabled)
+        }),
+        // v1 -> v2: одна процентная скидка для субботы и воскресенья заменена ценами по дням недели
+        data => {
+            const { weekendDiscount, weekendDiscountEnabled, ...settings } = data;
+            const weekendDays = Array.isArray(data.weekendDays) ? data.weekendDays : [6, 0];
+            const weekdayPrices = { ...(data.weekdayPrices || {}) };
+
+            if (weekendDiscountEnabled && Number(weekendDiscount) > 0) {
+                weekendDays.forEach(dayOfWeek => {
+                    if (!weekdayPrices[dayOfWeek]) {
+                        weekdayPrices[dayOfWeek] = { type: 'percent', value: -Number(weekendDiscount) };
+                    }
+                });
+            }
+
+            return { ...settings, weekendDays, weekdayPrices };
+        }
+    ]
 };
 
 /**
- * Менеджер для работы с локальным хранилищем
+ * Версионирование сохраняемых записей и миграция старых данных
+ * Каждая запись хранится в обертке {schemaVersion, data}.
+ */
+class SchemaMigrator {
+    /**
+     * Упаковка данных в запись с версией схемы
+     * @param {any} data - Данные
+     * @returns {Object} - Запись {schemaVersion, data}
+     */
+    static wrap(data) {
+        return { schemaVersion: SCHEMA_VERSION, data };
+    }
+
+    /**
+     * Проверка, является ли значение версионированной записью
+     * @param {any} payload - Загруженное значение
+     * @returns {boolean}
+     */
+    static isVersioned(payload) {
+        return typeof payload === 'object' && payload !== null &&
+            typeof payload.schemaVersion === 'number' && 'data' in payload;
+    }
+
+    /**
+     * Получение версии записи (0 для данных без версии)
+     * @param {any} payload - Загруженное значение
+     * @returns {number}
+     */
+    static getVersion(payload) {
+        return SchemaMigrator.isVersioned(payload) ? payload.schemaVersion : 0;
+    }
+
+    /**
+     * Миграция данных до текущей версии схемы
+     * @param {string} recordType - Тип записи (ключ в SCHEMA_MIGRATIONS)
+     * @param {any} payload - Загруженное значение (запись с версией или старые данные)
+     * @param {Object} [context] - Сведения для миграций, которым мало самих данных (например, {settings})
+     * @returns {any} - Данные в формате текущей версии
+     */
+    static migrate(recordType, payload, context = {}) {
+        const migrations = SCHEMA_MIGRATIONS[recordType] || [];
+        let version = SchemaMigrator.getVersion(payload);
+        let data = SchemaMigrator.isVersioned(payload) ? payload.data : payload;
+
+        if (version > SCHEMA_VERSION) {
+            console.warn(`[SchemaMigrator] Запись ${recordType} создана более новой версией схемы (${version})`);
+            return data;
+        }
+
+        while (version < SCHEMA_VERSION) {
+            const migration = migrations[version];
+            if (typeof migration === 'function') {
+                data = migration(data, context);
+            }
+            version++;
+        }
+
+        return data;
+    }
+}
+
+/**
+ * Адаптер хранилища на базе localStorage
+ * Интерфейс адаптера: getItem(key), setItem(key, value), removeItem(key), keys().
+ * Значения передаются строками (JSON), как в самом localStorage.
+ */
+class LocalStorageAdapter {
+    /**
+     * Проверка доступности localStorage
+     * В приватном режиме Safari выбрасывает исключение запись, а при запрете cookies
+     * уже само обращение к window.localStorage (SecurityError).
+     * @returns {boolean} - true, если localStorage доступен для записи
+     */
+    static isAvailable() {
+        try {
+            if (typeof localStorage === 'undefined' || !localStorage) return false;
+
+            const testKey = '__calendarStorageTest__';
+            localStorage.setItem(testKey, testKey);
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    keys() {
+        return Object.keys(localStorage);
+    }
+}
+
+/**
+ * Адаптер хранилища в памяти (данные живут до перезагрузки страницы)
+ */
+class MemoryStorageAdapter {
+    /**
+     * @param {Object} [initialData] - Начальные данные {ключ: строка}
+     */
+    constructor(initialData = {}) {
+        this.data = new Map(Object.entries(initialData));
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    keys() {
+        return Array.from(this.data.keys());
+    }
+}
+
+/**
+ * Адаптер хранилища на базе IndexedDB
+ * Чтение идет из кэша в памяти, который заполняется в init(); запись сохраняется
+ * в кэш сразу, а в IndexedDB - асинхронно.
+ */
+class IndexedDBStorageAdapter extends MemoryStorageAdapter {
+    /**
+     * @param {Object} [options] - Параметры
+     * @param {string} [options.dbName] - Имя базы данных
+     * @param {string} [options.storeName] - Имя хранилища объектов
+     */
+    constructor(options = {}) {
+        super();
+        this.dbName = options.dbName || 'calendarStorage';
+        this.storeName = options.storeName || 'keyval';
+        this.db = null;
+    }
+
+    /**
+     * Открытие базы данных и загрузка всех записей в кэш
+     * При ошибке промис отклоняется, и StorageManager переключается на хранилище в памяти.
+     * @returns {Promise<void>}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+
+            request.onsuccess = () => {
+                let store;
+                try {
+                    // База уже существует без нашего хранилища объектов (например, другой storeName
+                    // с тем же dbName): onupgradeneeded не вызывается, и transaction() выбрасывает исключение
+                    store = request.result.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+                } catch (error) {
+                    request.result.close();
+                    reject(error);
+                    return;
+                }
+
+                this.db = request.result;
+                const cursorRequest = store.openCursor();
+
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        this.data.set(cursor.key, cursor.value);
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB ${this.dbName} заблокирована другим соединением`));
+        });
+    }
+
+    /**
+     * Выполнение операции записи в IndexedDB
+     * @param {Function} operation - Функция, получающая objectStore
+     */
+    write(operation) {
+        if (!this.db) return;
+
+        const transaction = this.db.transaction(this.storeName, 'readwrite');
+        operation(transaction.objectStore(this.storeName));
+        transaction.onerror = () => {
+            console.error('Ошибка записи в IndexedDB:', transaction.error);
+        };
+    }
+
+    setItem(key, value) {
+        super.setItem(key, value);
+        this.write(store => store.put(String(value), key));
+    }
+
+    removeItem(key) {
+        super.removeItem(key);
+        this.write(store => store.delete(key));
+    }
+}
+
+/**
+ * Адаптер хранилища на базе HTTP/REST API
+ * Ожидаемый API:
+ *   GET    {baseUrl}        -> JSON-объект {ключ: строка} со всеми записями
+ *   PUT    {baseUrl}/{key}  <- строка значения в теле запроса
+ *   DELETE {baseUrl}/{key}
+ * Как и в IndexedDBStorageAdapter, чтение идет из кэша, заполненного в init().
+ */
+class RestStorageAdapter extends MemoryStorageAdapter {
+    /**
+     * @param {Object} options - Параметры
+     * @param {string} options.baseUrl - Базовый URL API
+     * @param {Object} [options.headers] - Дополнительные заголовки запросов
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.baseUrl) {
+            throw new Error('RestStorageAdapter: не указан baseUrl');
+        }
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.headers = options.headers || {};
+    }
+
+    /**
+     * Загрузка всех записей с сервера в кэш
+     * @returns {Promise<void>}
+     */
+    async init() {
+        const response = await fetch(this.baseUrl, { headers: this.headers });
+        if (!response.ok) {
+            throw new Error(`RestStorageAdapter: ошибка загрузки (${response.status})`);
+        }
+
+        const entries = await response.json();
+        Object.entries(entries || {}).forEach(([key, value]) => {
+            this.data.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+        });
+    }
+
+    /**
+     * Отправка запроса на сервер
+     * @param {string} method - HTTP-метод
+     * @param {string} key - Ключ записи
+     * @param {string} [body] - Тело запроса
+     */
+    request(method, key, body) {
+        fetch(`${this.baseUrl}/${encodeURIComponent(key)}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body
+        }).then(response => {
+            if (!response.ok) {
+                console.error(`Ошибка ${method} ${key} на сервере хранилища: ${response.status}`);
+            }
+        }).catch(error => {
+            console.error(`Ошибка ${method} ${key} на сервере хранилища:`, error);
+        });
+    }
+
+    setItem(key, value) {
+        super.setItem(key, value);
+        this.request('PUT', key, String(value));
+    }
+
+    removeItem(key) {
+        super.removeItem(key);
+        this.request('DELETE', key);
+    }
+}
+
+/**
+ * Менеджер для работы с хранилищем
+ * По умолчанию использует localStorage, а если он недоступен или запись в него
+ * выбрасывает исключение - автоматически переключается на хранилище в памяти.
  */
 class StorageManager {
     /**
-     * Сохранение данных в localStorage с обработкой ошибок
+     * @param {Object} [adapter] - Адаптер хранилища (LocalStorageAdapter, MemoryStorageAdapter,
+     *                             IndexedDBStorageAdapter, RestStorageAdapter или совместимый объект)
+     * @param {string} [namespace] - Пространство имен ключей (например, ID объявления)
+     */
+    constructor(adapter = null, namespace = '') {
+        if (adapter) {
+            this.adapter = adapter;
+        } else if (LocalStorageAdapter.isAvailable()) {
+            this.adapter = new LocalStorageAdapter();
+        } else {
+            console.warn('localStorage недоступен, данные календаря хранятся в памяти');
+            this.adapter = new MemoryStorageAdapter();
+        }
+
+        this.prefix = namespace ? `${namespace}:` : '';
+        this.readyPromise = null;
+    }
+
+    /**
+     * Полный ключ адаптера с учетом пространства имен
+     * @param {string} key - Ключ без пространства имен
+     * @returns {string}
+     */
+    namespacedKey(key) {
+        return this.prefix + key;
+    }
+
+    /**
+     * Ожидание готовности адаптера (для асинхронных адаптеров - загрузка данных)
+     * @returns {Promise<void>}
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = Promise.resolve()
+                .then(() => (typeof this.adapter.init === 'function' ? this.adapter.init() : null))
+                .catch(error => {
+                    console.error('Ошибка инициализации хранилища:', error);
+                    this.fallbackToMemory(error);
+                })
+                .then(() => {
+                    this.adoptLegacyKeys();
+                });
+        }
+        return this.readyPromise;
+    }
+
+    /**
+     * Однократное копирование записей без пространства имен в текущее пространство
+     * Данные страницы, сохраненные до добавления listingId, получает первое объявление,
+     * открытое на этом хранилище; остальные объявления начинают с пустых данных.
+     * Исходные записи остаются для календарей без listingId.
+     * @returns {number} - Количество скопированных записей
+     */
+    adoptLegacyKeys() {
+        if (!this.prefix) return 0;
+
+        try {
+            if (this.adapter.getItem(LEGACY_STORAGE_OWNER_KEY) !== null) return 0;
+
+            const legacyKeys = this.adapter.keys().filter(key => LEGACY_STORAGE_KEY_PATTERN.test(key));
+            if (legacyKeys.length === 0) return 0;
+
+            let copied = 0;
+            legacyKeys.forEach(key => {
+                if (this.adapter.getItem(this.namespacedKey(key)) === null) {
+                    this.adapter.setItem(this.namespacedKey(key), this.adapter.getItem(key));
+                    copied++;
+                }
+            });
+            this.adapter.setItem(LEGACY_STORAGE_OWNER_KEY, this.prefix.slice(0, -1));
+
+            console.log(`[StorageManager] Записи без пространства имен скопированы в ${this.prefix.slice(0, -1)}: ${copied}`);
+            return copied;
+        } catch (error) {
+            console.error('Ошибка копирования записей без пространства имен:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Переключение на хранилище в памяти после ошибки текущего адаптера
+     * @param {Error} error - Ошибка, вызвавшая переключение
+     * @returns {boolean} - true, если переключение выполнено
+     */
+    fallbackToMemory(error) {
+        // Хранилище в памяти не может отказать, переключаться некуда
+        if (this.adapter.constructor === MemoryStorageAdapter) {
+            return false;
+        }
+
+        console.warn('Хранилище недоступно, переключаемся на хранилище в памяти:', error);
+
+        // Переносим то, что удается прочитать из текущего адаптера
+        const initialData = {};
+        try {
+            this.adapter.keys().forEach(key => {
+                initialData[key] = this.adapter.getItem(key);
+            });
+        } catch (readError) {
+            // Данные текущего адаптера недоступны, начинаем с пустого хранилища
+        }
+
+        this.adapter = new MemoryStorageAdapter(initialData);
+        return true;
+    }
+
+    /**
+     * Сохранение данных в хранилище с обработкой ошибок
      * @param {string} key - Ключ для сохранения
      * @param {any} data - Данные для сохранения
      * @returns {boolean} - Успешность операции
      */
     save(key, data) {
         try {
-            localStorage.setItem(key, JSON.stringify(data));
+            this.adapter.setItem(this.namespacedKey(key), JSON.stringify(data));
             return true;
         } catch (error) {
-            console.error('Ошибка сохранения в localStorage:', error);
-            return false;
+            console.error('Ошибка сохранения в хранилище:', error);
+            return this.fallbackToMemory(error) ? this.save(key, data) : false;
         }
     }
 
     /**
-     * Загрузка данных из localStorage с обработкой ошибок
+     * Загрузка данных из хранилища с обработкой ошибок
      * @param {string} key - Ключ для загрузки
      * @param {any} defaultValue - Значение по умолчанию
      * @returns {any} - Загруженные данные или значение по умолчанию
      */
     load(key, defaultValue = null) {
         try {
-            const data = localStorage.getItem(key);
+            const data = this.adapter.getItem(this.namespacedKey(key));
             return data ? JSON.parse(data) : defaultValue;
         } catch (error) {
-            console.error('Ошибка загрузки из localStorage:', error);
+            console.error('Ошибка загрузки из хранилища:', error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Сохранение данных в хранилище вместе с версией схемы
+     * @param {string} key - Ключ для сохранения
+     * @param {any} data - Данные для сохранения
+     * @returns {boolean} - Успешность операции
+     */
+    saveVersioned(key, data) {
+        return this.save(key, SchemaMigrator.wrap(data));
+    }
+
+    /**
+     * Загрузка данных с миграцией до текущей версии схемы
+     * Если запись была записана старой версией, она перезаписывается в новом формате.
+     * @param {string} key - Ключ для загрузки
+     * @param {string} recordType - Тип записи (monthData, blockedDatesMap, globalSettings)
+     * @param {any} defaultValue - Значение по умолчанию
+     * @param {Object} [context] - Сведения для миграций (см. SchemaMigrator.migrate)
+     * @returns {any} - Данные в формате текущей версии или значение по умолчанию
+     */
+    loadVersioned(key, recordType, defaultValue = null, context = {}) {
+        const payload = this.load(key);
+        if (payload === null) return defaultValue;
+
+        try {
+            const data = SchemaMigrator.migrate(recordType, payload, context);
+            if (SchemaMigrator.getVersion(payload) < SCHEMA_VERSION) {
+                console.log(`[StorageManager] Запись ${key} обновлена до версии схемы ${SCHEMA_VERSION}`);
+                this.saveVersioned(key, data);
+            }
+            return data;
+        } catch (error) {
+            console.error(`Ошибка миграции записи ${key}:`, error);
             return defaultValue;
         }
     }
 
     /**
-     * Удаление данных из localStorage с обработкой ошибок
+     * Получение списка ключей хранилища в текущем пространстве имен
+     * @param {RegExp} [pattern] - Регулярное выражение для фильтрации ключей
+     * @returns {string[]} - Список ключей (без пространства имен)
+     */
+    keys(pattern = null) {
+        try {
+            const keys = this.prefix
+                ? this.adapter.keys()
+                    .filter(key => key.startsWith(this.prefix))
+                    .map(key => key.slice(this.prefix.length))
+                : this.adapter.keys();
+            return pattern ? keys.filter(key => pattern.test(key)) : keys;
+        } catch (error) {
+            console.error('Ошибка получения ключей хранилища:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Удаление данных из хранилища с обработкой ошибок
      * @param {string} key - Ключ для удаления
      * @returns {boolean} - Успешность операции
      */
     remove(key) {
         try {
-            localStorage.removeItem(key);
+            this.adapter.removeItem(this.namespacedKey(key));
             return true;
         } catch (error) {
-            console.error('Ошибка удаления из localStorage:', error);
-            return false;
+            console.error('Ошибка удаления из хранилища:', error);
+            return this.fallbackToMemory(error) ? this.remove(key) : false;
         }
     }
 
@@ -77,1689 +825,3580 @@ class StorageManager {
      */
     removeByPattern(pattern) {
         try {
-            Object.keys(localStorage).forEach(key => {
-                if (pattern.test(key)) {
-                    localStorage.removeItem(key);
-                }
+            this.keys(pattern).forEach(key => {
+                this.adapter.removeItem(this.namespacedKey(key));
             });
             return true;
         } catch (error) {
             console.error('Ошибка удаления данных по шаблону:', error);
-            return false;
+            return this.fallbackToMemory(error) ? this.removeByPattern(pattern) : false;
         }
     }
 }
 
+// Идентификатор продукта для экспортируемых iCalendar-файлов
+const ICAL_PRODID = '-//Ministry Agency//Calendar Script//RU';
+
 /**
- * Класс для управления календарем
+ * Работа с форматом iCalendar (RFC 5545)
  */
-class UnifiedCalendarManager {
+class ICalendar {
     /**
-     * Конструктор класса UnifiedCalendarManager
+     * Экранирование текстового значения свойства
+     * @param {string} text - Исходный текст
+     * @returns {string} - Экранированный текст
      */
-    constructor() {
-        // Инициализация данных календаря
-        this.calendarData = {
-            dateRanges: [],
-            activeDates: {},
-            prices: {}
-        };
-        
-        // Получаем текущую дату
-        const now = new Date();
-        const currentYear = now.getFullYear();
-        const currentMonth = now.getMonth() + 1; // getMonth() возвращает месяц от 0 до 11
-        
-        // Устанавливаем текущий месяц
-        this.currentMonthKey = `${currentYear}-${currentMonth.toString().padStart(2, '0')}`;
-        
-        console.log(`[UnifiedCalendarManager] Инициализация для месяца ${this.currentMonthKey}`);
-        
-        // Инициализация менеджера
-        this.init();
+    static escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
     }
 
     /**
-     * Проверка, заблокирована ли дата
+     * Перенос строки длиннее 75 октетов (RFC 5545, раздел 3.1)
+     * @param {string} line - Строка свойства
+     * @returns {string} - Строка с переносами
      */
-    isDateBlocked(date, key) {
-        try {
-            // Проверяем корректность параметров
-            if (!date || !key) {
-                console.warn(`[UnifiedCalendarManager] Неверные параметры в isDateBlocked: дата=${date}, ключ=${key}`);
-                return false;
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentLength = 0;
+
+        for (const char of line) {
+            const charLength = encoder.encode(char).length;
+            // Продолжение строки начинается с пробела, который тоже занимает октет
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentLength + charLength > limit) {
+                parts.push(current);
+                current = '';
+                currentLength = 0;
             }
-            
-            // Проверяем, есть ли дата в списке активных дат
-            return !this.calendarData.activeDates[key];
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при проверке блокировки даты:', error);
-            return false;
+            current += char;
+            currentLength += charLength;
         }
+        parts.push(current);
+
+        return parts.join('\r\n ');
     }
 
     /**
-     * Форматирование даты
+     * Преобразование ключа даты YYYY-MM-DD в значение типа DATE (YYYYMMDD)
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {string}
      */
-    formatDate(day, month, year) {
-        try {
-            // Проверяем корректность параметров
-            if (!day || day <= 0 || !month || !year) {
-                console.warn(`[UnifiedCalendarManager] Неверные параметры даты: день=${day}, месяц=${month}, год=${year}`);
-                return '';
-            }
-            
-            // Форматируем день и месяц с ведущим нулем
-            const formattedDay = day.toString().padStart(2, '0');
-            const formattedMonth = month.toString().padStart(2, '0');
-            
-            // Возвращаем отформатированную дату
-            return `${year}-${formattedMonth}-${formattedDay}`;
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при форматировании даты:', error);
-            return '';
-        }
+    static toDateValue(dateKey) {
+        return dateKey.replace(/-/g, '');
     }
 
     /**
-     * Обновление календаря
+     * Преобразование даты во время UTC (YYYYMMDDTHHMMSSZ)
+     * @param {Date} date - Дата
+     * @returns {string}
      */
-    updateCalendar() {
-        try {
-            console.log('[UnifiedCalendarManager] Обновление календаря...');
-            
-            // Проверяем, что currentMonthKey определен
-            if (!this.currentMonthKey) {
-                const now = new Date();
-                const currentYear = now.getFullYear();
-                const currentMonth = now.getMonth() + 1;
-                this.currentMonthKey = `${currentYear}-${currentMonth.toString().padStart(2, '0')}`;
-                console.log(`[UnifiedCalendarManager] Установлен текущий месяц: ${this.currentMonthKey}`);
-            }
-            
-            // Генерируем календарь
-            this.generateCalendar();
-            
-            // Определяем метод updatePrices, если он не существует
-            if (typeof this.updatePrices !== 'function') {
-                this.updatePrices = function() {
-                    console.log('[UnifiedCalendarManager] Обновление цен...');
-                    
-                    // Получаем текущий год и месяц
-                    const [year, month] = this.currentMonthKey.split('-').map(Number);
-                    
-                    // Получаем все дни календаря
-                    const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
-                    
-                    // Обновляем цены для каждого дня
-                    calendarDays.forEach(dayWrapper => {
-                        const dayElement = dayWrapper.querySelector('[day]');
-                        if (!dayElement) return;
-                        
-                        const day = parseInt(dayElement.getAttribute('day'));
-                        if (isNaN(day)) return;
-                        
-                        // Формируем ключ даты
-                        const dateKey = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-                        
-                        // Получаем цену для текущего дня
-                        const price = this.calendarData.prices[dateKey] || 0;
-                        
-                        // Обновляем отображение цены
-                        const priceElement = dayWrapper.querySelector('.calendar_day-price');
-                        if (priceElement) {
-                            priceElement.textContent = price > 0 ? `${price} ₽` : '';
-                        }
-                    });
-                    
-                    console.log('[UnifiedCalendarManager] Цены обновлены');
-                };
-            }
-            
-            // Обновляем цены
-            this.updatePrices();
-            
-            // Получаем текущий год и месяц
-            const [year, month] = this.currentMonthKey.split('-').map(Number);
-            
-            // Получаем название месяца на английском
-            const monthNames = [
-                'January', 'February', 'March', 'April', 'May', 'June',
-                'July', 'August', 'September', 'October', 'November', 'December'
-            ];
-            const monthName = monthNames[month - 1];
-            
-            // Обновляем заголовок месяца в элементе с классом calendar_month
-            const calendarMonthElement = document.querySelector('.calendar_month');
-            if (calendarMonthElement) {
-                calendarMonthElement.textContent = `${monthName} ${year}`;
-                console.log(`[UnifiedCalendarManager] Заголовок месяца обновлен: ${monthName} ${year}`);
-            } else {
-                console.warn('[UnifiedCalendarManager] Элемент с классом calendar_month не найден');
-            }
-            
-            // Обновляем заголовок месяца в элементе с атрибутом calendar-month
-            const calendarMonthAttrElement = document.querySelector('[calendar-month]');
-            if (calendarMonthAttrElement) {
-                calendarMonthAttrElement.textContent = `${monthName} ${year}`;
-                console.log(`[UnifiedCalendarManager] Заголовок месяца (атрибут) обновлен: ${monthName} ${year}`);
-            }
-            
-            console.log(`[UnifiedCalendarManager] Календарь обновлен для ${monthName} ${year}`);
-            
-            // Переинициализируем обработчики для эффекта hover
-            if (typeof this.initHoverEffectHandlers === 'function') {
-                this.initHoverEffectHandlers();
-            }
-            
-            // Обновляем отображение всех дней
-            if (typeof this.updateAllDaysDisplay === 'function') {
-                this.updateAllDaysDisplay();
-            }
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при обновлении календаря:', error);
-        }
+    static toUtcDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
     }
 
     /**
-     * Генерация календаря
+     * Сдвиг ключа даты на указанное количество дней (без учета часового пояса)
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @param {number} days - Количество дней
+     * @returns {string} - Дата в формате YYYY-MM-DD
      */
-    generateCalendar() {
-        try {
-            // Получаем контейнер календаря
-            const calendarContainer = document.querySelector('.calendar_days-wrapper');
-            if (!calendarContainer) {
-                console.error('[UnifiedCalendarManager] Контейнер календаря не найден');
-                return;
-            }
-
-            // Очищаем контейнер
-            calendarContainer.innerHTML = '';
-
-            // Получаем текущий год и месяц
-            const year = this.getCurrentYear();
-            const month = this.getCurrentMonth();
-
-            if (!year || !month) {
-                console.error('[UnifiedCalendarManager] Некорректный формат даты:', this.currentDate);
-                return;
-            }
-
-            // Получаем первый день месяца
-            const firstDay = new Date(year, month - 1, 1);
-            
-            // Получаем день недели первого дня месяца (0 - воскресенье, 1 - понедельник, и т.д.)
-            let firstDayOfWeek = firstDay.getDay();
-            // Преобразуем для нашего календаря (0 - понедельник, 6 - воскресенье)
-            firstDayOfWeek = firstDayOfWeek === 0 ? 6 : firstDayOfWeek - 1;
-
-            // Получаем количество дней в месяце
-            const daysInMonth = new Date(year, month, 0).getDate();
+    static addDays(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
 
-            // Генерируем пустые ячейки для дней предыдущего месяца
-            for (let i = 0; i < firstDayOfWeek; i++) {
-                const emptyDay = document.createElement('div');
-                emptyDay.className = 'calendar_day-wrapper not_exist';
-                calendarContainer.appendChild(emptyDay);
+    /**
+     * Объединение последовательных дней в диапазоны
+     * @param {Array<{date: string, value: any}>} days - Дни с ключами YYYY-MM-DD
+     * @returns {Array<{start: string, end: string, value: any}>} - Диапазоны (end включительно)
+     */
+    static groupContiguous(days) {
+        const sorted = [...days].sort((a, b) => a.date.localeCompare(b.date));
+        const ranges = [];
+
+        sorted.forEach(({ date, value }) => {
+            const last = ranges[ranges.length - 1];
+            if (last && ICalendar.addDays(last.end, 1) === date && last.value === value) {
+                last.end = date;
+            } else if (!last || last.end !== date) {
+                ranges.push({ start: date, end: date, value });
             }
+        });
 
-            // Генерируем ячейки для дней текущего месяца
-            for (let day = 1; day <= daysInMonth; day++) {
-                const dayElement = document.createElement('div');
-                dayElement.className = 'calendar_day-wrapper';
-                dayElement.setAttribute('data-date', `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`);
-
-                // Создаем внутреннюю структуру дня
-                const dayInner = document.createElement('div');
-                dayInner.className = 'calendar_day';
-                
-                // Добавляем номер дня
-                const dayNumber = document.createElement('div');
-                dayNumber.className = 'calendar_day-number';
-                dayNumber.textContent = day;
-                dayInner.appendChild(dayNumber);
-                
-                // Добавляем цену дня
-                const dayPrice = document.createElement('div');
-                dayPrice.className = 'calendar_day-price';
-                dayPrice.textContent = this.getPriceForDay(day);
-                dayInner.appendChild(dayPrice);
-                
-                dayElement.appendChild(dayInner);
-                calendarContainer.appendChild(dayElement);
-            }
+        return ranges;
+    }
 
-            // Добавляем пустые ячейки в конце, чтобы заполнить сетку
-            const totalCells = firstDayOfWeek + daysInMonth;
-            const remainingCells = 42 - totalCells; // 6 строк по 7 дней
-            
-            for (let i = 0; i < remainingCells; i++) {
-                const emptyDay = document.createElement('div');
-                emptyDay.className = 'calendar_day-wrapper not_exist';
-                calendarContainer.appendChild(emptyDay);
-            }
+    /**
+     * Дата и время момента в часовом поясе
+     * @param {number} time - Временная метка
+     * @param {string|null} timeZone - Часовой пояс IANA (null - пояс среды выполнения)
+     * @returns {Object|null} - {year, month, day, hour, minute, second} (строки с ведущими нулями) или null для неизвестного пояса
+     */
+    static getZonedParts(time, timeZone) {
+        try {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone || undefined,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }).formatToParts(new Date(time)).forEach(part => {
+                if (part.type !== 'literal') parts[part.type] = part.value;
+            });
+            return parts;
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при генерации календаря:', error);
+            return null;
         }
     }
 
     /**
-     * Получение цены для дня
-     * @param {number} day - День месяца
-     * @returns {string} - Цена в формате строки
+     * Преобразование значения DATE или DATE-TIME в дату YYYY-MM-DD
+     * Время в UTC (суффикс Z) и время с параметром TZID переводятся в часовой пояс календаря,
+     * "плавающее" время без пояса и значения DATE берутся как есть.
+     * @param {string} value - Значение (YYYYMMDD или YYYYMMDDTHHMMSS[Z])
+     * @param {string|null} [tzid] - Часовой пояс из параметра TZID
+     * @param {string|null} [timeZone] - Часовой пояс календаря (null - пояс среды выполнения)
+     * @returns {Object|null} - {date, isMidnight} (isMidnight - начало суток) или null
      */
-    getPriceForDay(day) {
-        try {
-            // Получаем текущий год и месяц
-            const year = this.getCurrentYear();
-            const month = this.getCurrentMonth();
-            
-            // Формируем ключ даты
-            const dateKey = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-            
-            // Проверяем, есть ли данные для этого дня
-            if (this.monthData && this.monthData[dateKey] && typeof this.monthData[dateKey].price !== 'undefined') {
-                return this.monthData[dateKey].price.toString();
-            }
-            
-            // Если данных нет, используем базовую цену
-            const basePrice = this.getBasePrice();
-            
-            // Проверяем, является ли день выходным
-            const date = new Date(year, month - 1, day);
-            const isWeekend = date.getDay() === 0 || date.getDay() === 6;
-            
-            // Если включена скидка для выходных и день является выходным
-            if (this.settings.weekendDiscountEnabled && isWeekend) {
-                const discount = this.settings.weekendDiscount || 0;
-                const discountedPrice = basePrice * (1 - discount / 100);
-                return discountedPrice.toFixed(0);
+    static parseDateValue(value, tzid = null, timeZone = null) {
+        const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/);
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, second, utc] = match;
+        const wallClock = { date: `${year}-${month}-${day}`, isMidnight: !hour || `${hour}${minute}${second}` === '000000' };
+        if (!hour || (!utc && !tzid)) return wallClock;
+
+        const wallTime = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+        let time = wallTime;
+
+        if (!utc) {
+            // Смещение пояса TZID в момент времени; уточняется повторно у перехода на летнее время
+            const offsetAt = at => {
+                const parts = ICalendar.getZonedParts(at, tzid);
+                return parts ? Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+                    Number(parts.hour), Number(parts.minute), Number(parts.second)) - at : null;
+            };
+
+            const offset = offsetAt(wallTime);
+            if (offset === null) {
+                console.warn(`[ICalendar] Неизвестный часовой пояс ${tzid}, время ${value} взято без перевода`);
+                return wallClock;
             }
-            
-            return basePrice.toString();
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при получении цены для дня:', error);
-            return '0';
+            time = wallTime - offsetAt(wallTime - offset);
         }
+
+        const local = ICalendar.getZonedParts(time, timeZone);
+        if (!local) return wallClock;
+
+        return {
+            date: `${local.year}-${local.month}-${local.day}`,
+            isMidnight: `${local.hour}${local.minute}${local.second}` === '000000'
+        };
     }
 
     /**
-     * Обработка клика по дню календаря
-     * @param {HTMLElement} dayElement - Элемент дня календаря
+     * Разбор текста iCalendar на события
+     * @param {string} text - Содержимое файла .ics
+     * @param {string|null} [timeZone] - Часовой пояс календаря для значений DATE-TIME (null - пояс среды выполнения)
+     * @returns {Array<Object>} - События {uid, start, end, summary} (start и end - даты YYYY-MM-DD, end включительно)
      */
-    handleDayClick(dayElement) {
-        try {
-            console.log('[UnifiedCalendarManager] Клик по дню календаря:', dayElement);
-            
-            // Проверяем, что элемент существует и не является пустым днем
-            if (!dayElement || dayElement.classList.contains('not_exist')) {
+    static parse(text, timeZone = null) {
+        // Склеиваем перенесенные строки (продолжение начинается с пробела или табуляции)
+        const lines = String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const events = [];
+        let current = null;
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                current = {};
                 return;
             }
-            
-            // Получаем дату из атрибута
-            const dateStr = dayElement.getAttribute('data-date');
-            if (!dateStr) {
-                console.error('[UnifiedCalendarManager] Дата не найдена в атрибуте data-date');
+
+            if (line === 'END:VEVENT') {
+                const start = current && current.start &&
+                    ICalendar.parseDateValue(current.start.value, current.start.tzid, timeZone);
+                if (start) {
+                    // DTEND не включается в событие; без DTEND событие длится один день
+                    let end = start.date;
+                    const endValue = current.end &&
+                        ICalendar.parseDateValue(current.end.value, current.end.tzid, timeZone);
+                    if (endValue) {
+                        end = endValue.isMidnight ? ICalendar.addDays(endValue.date, -1) : endValue.date;
+                    }
+                    events.push({
+                        uid: current.uid || null,
+                        start: start.date,
+                        end: end < start.date ? start.date : end,
+                        summary: current.summary || ''
+                    });
+                }
+                current = null;
                 return;
             }
-            
-            // Инициализируем объект выбора диапазона, если он не существует
-            if (!this.rangeSelection) {
-                this.rangeSelection = {
-                    startDate: null,
-                    endDate: null,
-                    isRangeConfirmed: false
-                };
-            }
-            
-            // Если диапазон уже подтвержден, сбрасываем его
-            if (this.rangeSelection.isRangeConfirmed) {
-                this.resetRangeSelection();
-            }
-            
-            // Если начальная дата не выбрана, устанавливаем ее
-            if (!this.rangeSelection.startDate) {
-                this.rangeSelection.startDate = dateStr;
-                dayElement.classList.add('selected');
-                console.log(`[UnifiedCalendarManager] Выбрана начальная дата: ${dateStr}`);
-            } 
-            // Если начальная дата выбрана, но конечная нет
-            else if (!this.rangeSelection.endDate) {
-                // Проверяем, что конечная дата не раньше начальной
-                if (dateStr < this.rangeSelection.startDate) {
-                    // Если конечная дата раньше начальной, меняем их местами
-                    this.rangeSelection.endDate = this.rangeSelection.startDate;
-                    this.rangeSelection.startDate = dateStr;
-                } else {
-                    this.rangeSelection.endDate = dateStr;
-                }
-                
-                // Подтверждаем выбор диапазона
-                this.rangeSelection.isRangeConfirmed = true;
-                
-                // Подсвечиваем диапазон
-                this.highlightRange(this.rangeSelection.startDate, this.rangeSelection.endDate);
-                
-                // Обновляем скрытые поля с датами
-                this.updateDateInputs();
-                
-                console.log(`[UnifiedCalendarManager] Выбран диапазон: ${this.rangeSelection.startDate} - ${this.rangeSelection.endDate}`);
+
+            if (!current) return;
+
+            const separatorIndex = line.indexOf(':');
+            if (separatorIndex === -1) return;
+
+            const [property, ...params] = line.slice(0, separatorIndex).split(';');
+            const name = property.toUpperCase();
+            const value = line.slice(separatorIndex + 1).trim();
+            const tzidParam = params.find(param => /^TZID=/i.test(param));
+            const tzid = tzidParam ? tzidParam.slice(5).replace(/^"|"$/g, '') : null;
+
+            if (name === 'DTSTART') {
+                current.start = { value, tzid };
+            } else if (name === 'DTEND') {
+                current.end = { value, tzid };
+            } else if (name === 'UID') {
+                current.uid = value;
+            } else if (name === 'SUMMARY') {
+                current.summary = value.replace(/\\n/gi, '\n').replace(/\\([\\;,])/g, '$1');
             }
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при обработке клика по дню календаря:', error);
-        }
-    }
+        });
 
-    /**
-     * Инициализация обработчиков событий для дней календаря
-     */
-    initDayEventHandlers() {
-        try {
-            console.log('[UnifiedCalendarManager] Инициализация обработчиков событий для дней календаря');
-            
-            // Получаем все дни календаря
-            const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
-            
-            // Добавляем обработчики клика
-            calendarDays.forEach(day => {
-                day.addEventListener('click', () => {
-                    this.handleDayClick(day);
-                });
-            });
-            
-            console.log('[UnifiedCalendarManager] Обработчики событий для дней календаря инициализированы');
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при инициализации обработчиков событий для дней календаря:', error);
-        }
+        return events;
     }
 
     /**
-     * Инициализация менеджера календаря
+     * Сборка документа VCALENDAR из событий на целый день
+     * @param {Array<Object>} events - События {uid, start, end, summary, description, transparent}
+     *                                 (start и end - даты YYYY-MM-DD, end включительно)
+     * @param {Object} [options] - Параметры
+     * @param {string} [options.name] - Название календаря (X-WR-CALNAME)
+     * @returns {string} - Текст в формате iCalendar
      */
-    init() {
-        // Загружаем настройки
-        this.loadGlobalSettings();
-        this.loadMonthData(this.currentMonthKey);
+    static build(events, options = {}) {
+        const dtstamp = ICalendar.toUtcDateTime(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICAL_PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
 
-        // Инициализируем обработчики событий
-        this.initHandlers();
+        if (options.name) {
+            lines.push(`X-WR-CALNAME:${ICalendar.escapeText(options.name)}`);
+        }
 
-        // Проверяем состояние чекбокса скидки для выходных дней при загрузке
-        setTimeout(() => {
-            this.checkWeekendDiscountCheckbox();
-        }, 500);
+        events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${dtstamp}`,
+                `DTSTART;VALUE=DATE:${ICalendar.toDateValue(event.start)}`,
+                // DTEND для событий на целый день указывается не включительно
+                `DTEND;VALUE=DATE:${ICalendar.toDateValue(ICalendar.addDays(event.end, 1))}`,
+                `SUMMARY:${ICalendar.escapeText(event.summary)}`
+            );
+            if (event.description) {
+                lines.push(`DESCRIPTION:${ICalendar.escapeText(event.description)}`);
+            }
+            lines.push(`TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`, 'END:VEVENT');
+        });
 
-        // Обновляем календарь
-        this.updateCalendar();
-        
-        // Обновляем заголовок месяца
-        this.updateMonthTitle();
+        lines.push('END:VCALENDAR');
 
-        // Логируем информацию о запуске
-        console.log(`[UnifiedCalendarManager] Инициализирован для месяца ${this.currentMonthKey}`);
+        return lines.map(line => ICalendar.foldLine(line)).join('\r\n') + '\r\n';
     }
+}
 
+/**
+ * История изменений календаря для отмены и повтора действий
+ * Каждая запись хранит снимки данных до и после изменения.
+ */
+class CalendarHistory {
     /**
-     * Получение ключа текущего месяца в формате "YYYY-MM"
+     * @param {number} [limit] - Максимальное количество записей в истории
      */
-    getCurrentMonthKey() {
-        const monthYearElement = document.querySelector('[current_month_year]');
-        if (!monthYearElement) return null;
-
-        try {
-            const [monthName, year] = monthYearElement.textContent.trim().split(' ');
-            if (!monthName || !year || !MONTH_MAP[monthName]) {
-                console.error(`[UnifiedCalendarManager] Неверный формат месяца и года: ${monthYearElement.textContent}`);
-                return null;
-            }
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
 
-            const monthNum = MONTH_MAP[monthName];
-            return `${year}-${monthNum}`;
-        } catch (error) {
-            console.error(`[UnifiedCalendarManager] Ошибка получения текущего месяца:`, error);
-            return null;
+    /**
+     * Добавление записи об изменении
+     * Новая запись очищает стек повтора.
+     * @param {string} label - Название действия
+     * @param {Object} before - Снимок данных до изменения
+     * @param {Object} after - Снимок данных после изменения
+     */
+    record(label, before, after) {
+        this.undoStack.push({ label, before, after });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
         }
+        this.redoStack = [];
     }
 
     /**
-     * Получение ключа месяца по умолчанию (текущий месяц и год)
+     * Проверка наличия действий для отмены
+     * @returns {boolean}
      */
-    getDefaultMonthKey() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        return `${year}-${month}`;
+    canUndo() {
+        return this.undoStack.length > 0;
     }
 
     /**
-     * Получение базовой цены
-     * @returns {number} Базовая цена
+     * Проверка наличия действий для повтора
+     * @returns {boolean}
      */
-    getBasePrice() {
-        try {
-            console.log('[UnifiedCalendarManager] Получение базовой цены...');
-            
-            // Проверяем, существует ли элемент ввода базовой цены
-            const basePriceInput = document.querySelector('input[name="base_price"]');
-            if (basePriceInput) {
-                // Получаем значение из поля ввода
-                const basePrice = parseFloat(basePriceInput.value) || 0;
-                console.log(`[UnifiedCalendarManager] Базовая цена из поля ввода: ${basePrice}`);
-                return basePrice;
-            }
-            
-            // Если элемент ввода не найден, используем значение из настроек
-            if (this.settings && typeof this.settings.defaultPrice !== 'undefined') {
-                console.log(`[UnifiedCalendarManager] Базовая цена из настроек: ${this.settings.defaultPrice}`);
-                return this.settings.defaultPrice;
-            }
-            
-            // Если настройки не определены, используем значение по умолчанию
-            console.log('[UnifiedCalendarManager] Базовая цена по умолчанию: 0');
-            return 0;
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при получении базовой цены:', error);
-            return 0;
-        }
+    canRedo() {
+        return this.redoStack.length > 0;
     }
 
     /**
-     * Применение процентной скидки к цене
-     * @param {number} basePrice - Базовая цена
-     * @param {string|number} discountStr - Процент скидки (строка или число)
-     * @returns {number} - Цена со скидкой
+     * Извлечение последней записи для отмены
+     * @returns {Object|null} - Запись {label, before, after} или null
      */
-    applyDiscount(basePrice, discountStr) {
-        let discountValue;
-
-        // Преобразуем скидку в число
-        if (typeof discountStr === 'string') {
-            discountValue = parseInt(discountStr.replace(/[^\d.]/g, ''));
-        } else {
-            discountValue = parseFloat(discount);
-        }
-
-        // Проверяем корректность скидки
-        if (isNaN(discountValue) || discountValue < 0 || discountValue > 100) {
-            console.error(`[UnifiedCalendarManager] Некорректное значение скидки: ${discountStr}`);
-            return basePrice;
-        }
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
 
-        // Рассчитываем и округляем цену со скидкой
-        return Math.round(basePrice * (100 - discountValue) / 100);
+        this.redoStack.push(entry);
+        return entry;
     }
 
     /**
-     * Проверка, входит ли дата в какой-либо диапазон
-     * @param {Object} fullDate - Объект даты
-     * @returns {boolean} - true, если дата входит в диапазон
+     * Извлечение последней отмененной записи для повтора
+     * @returns {Object|null} - Запись {label, before, after} или null
      */
-    isDateInRanges(fullDate) {
-        if (!fullDate || !fullDate.timestamp) {
-            console.error('[UnifiedCalendarManager] Передан неверный объект даты в isDateInRanges');
-            return false;
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Очистка истории
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+/**
+ * Класс для управления календарем
+ */
+class UnifiedCalendarManager {
+    /**
+     * Конструктор класса UnifiedCalendarManager
+     * @param {Object} [options] - Параметры календаря
+     * @param {Object} [options.storage] - Адаптер хранилища (по умолчанию localStorage с откатом в память)
+     * @param {Element|string} [options.root] - Корневой элемент календаря или его селектор (по умолчанию весь документ)
+     * @param {string} [options.listingId] - ID объявления; задает пространство имен ключей хранилища
+     * @param {Object} [options.selectors] - Селекторы элементов разметки (см. DEFAULT_SELECTORS)
+     * @param {Object} [options.attributes] - Имена атрибутов разметки (см. DEFAULT_ATTRIBUTES)
+     */
+    constructor(options = {}) {
+        // Корневой элемент: все поиски элементов и обработчики ограничены им
+        this.root = (typeof options.root === 'string' ? document.querySelector(options.root) : options.root) || document;
+        
+        const globalConfig = window.calendarSettings || {};
+        this.attributes = {
+            ...DEFAULT_ATTRIBUTES,
+            ...(globalConfig.attributes || {}),
+            ...(options.attributes || {})
+        };
+        
+        this.listingId = options.listingId ||
+            (this.root.getAttribute ? this.root.getAttribute(this.attributes.listingId) : '') || '';
+
+        // Экземпляр доступен скриптам страницы через корневой элемент и реестр по listingId
+        this.root.calendarManager = this;
+        window.calendarManagers = window.calendarManagers || {};
+        window.calendarManagers[this.listingId] = this;
+
+        // Настройки страницы: для нескольких календарей - window.calendarSettings.listings[listingId]
+        if (!window.calendarSettings) {
+            window.calendarSettings = {};
         }
+        const listings = window.calendarSettings.listings || {};
+        if (this.listingId && !listings[this.listingId]) {
+            listings[this.listingId] = {};
+            window.calendarSettings.listings = listings;
+        }
+        this.pageSettings = this.listingId ? listings[this.listingId] : window.calendarSettings;
+
+        // Селекторы: значения по умолчанию < общие настройки страницы < настройки объявления < параметры
+        this.selectors = {
+            ...DEFAULT_SELECTORS,
+            ...(window.calendarSettings.selectors || {}),
+            ...(this.listingId ? this.pageSettings.selectors || {} : {}),
+            ...(options.selectors || {})
+        };
 
-        return this.calendarData.dateRanges.some(range => {
-            return fullDate.timestamp >= range.start.timestamp &&
-                   fullDate.timestamp <= range.end.timestamp;
+        // Локаль: названия месяцев и дней недели, форматы дат и цен
+        this.locale = options.locale || this.pageSettings.locale || window.calendarSettings.locale || DEFAULT_LOCALE;
+        this.dateFormatters = {};
+
+        // Первый день недели по умолчанию, если он не сохранен в настройках (0 - воскресенье ... 6 - суббота)
+        this.defaultWeekStart = options.weekStart !== undefined ? options.weekStart : 1;
+
+        // Подписи и цвета категорий блокировок; null в visibleBlockCategories - показываются все категории
+        const blockCategories = options.blockCategories || window.calendarSettings.blockCategories || {};
+        this.blockCategoryStyles = {};
+        Object.keys(DEFAULT_BLOCK_CATEGORY_STYLES).forEach(category => {
+            this.blockCategoryStyles[category] = {
+                ...DEFAULT_BLOCK_CATEGORY_STYLES[category],
+                ...(blockCategories[category] || {})
+            };
         });
+        this.visibleBlockCategories = null;
+
+        // Число месяцев, показываемых рядом (1-12); сетки после первой клонируются из calendar-month-view
+        const monthsVisible = Number(options.monthsVisible || this.pageSettings.monthsVisible || window.calendarSettings.monthsVisible) || 1;
+        this.monthsVisible = Math.max(1, Math.min(12, Math.round(monthsVisible)));
+
+        // Инициализация менеджера хранилища
+        this.storage = new StorageManager(options.storage, this.listingId);
+
+        // История изменений для отмены и повтора
+        this.history = new CalendarHistory();
+
+        // Снимок до начала редактирования базовой цены (запись в историю - при подтверждении ввода)
+        this.basePriceHistoryBefore = null;
+
+        // Модель календаря без DOM (calendar-model.mjs): данные, цены, блокировки и диапазоны.
+        // Менеджер отвечает только за привязку модели к разметке Webflow.
+        if (typeof CalendarModel === 'undefined') {
+            throw new Error('[UnifiedCalendarManager] CalendarModel не найден: подключите calendar-model.mjs до a8.js');
+        }
+        // Базовая цена модели берется так же, как в разметке: поле base_price, затем настройки
+        this.model = new CalendarModel({ basePrice: () => this.getBasePrice() });
+
+        // Курсы валют для валюты отображения {base, rates} и кэш форматтеров Intl.NumberFormat
+        this.currencyRates = null;
+        this.priceFormatters = {};
+        
+        // Состояние выбора диапазона (начало может быть выбрано в другом месяце)
+        this.tempSelection = {
+            start: null,
+            startMonth: null,     // Месяц начала "MM"
+            startYear: null,
+            isRangeConfirmed: true
+        };
+        
+        // Устанавливаем текущий месяц (уточняется в init после загрузки часового пояса объекта)
+        this.currentMonthKey = this.getDefaultMonthKey();
+        
+        console.log(`[UnifiedCalendarManager] Инициализация для месяца ${this.currentMonthKey}` +
+            (this.listingId ? ` (объявление ${this.listingId})` : ''));
+        
+        // Инициализация менеджера после готовности хранилища
+        this.storage.ready().then(() => this.init());
     }
 
     /**
-     * Проверка, исключена ли дата
-     * @param {number} timestamp - Временная метка даты
-     * @returns {boolean} - true, если дата исключена
+     * Данные календаря (хранятся в модели)
+     * @returns {Object}
      */
-    isDateExcluded(timestamp) {
-        if (!timestamp || isNaN(timestamp)) {
-            console.error('[UnifiedCalendarManager] Передана неверная временная метка в isDateExcluded');
-            return false;
-        }
+    get calendarData() {
+        return this.model.data;
+    }
 
-        return this.calendarData.excludedDates.has(timestamp);
+    set calendarData(data) {
+        this.model.data = data;
     }
 
     /**
-     * Проверка, заблокирована ли дата
-     * @param {string} dateString - Строка даты в формате DD.MM.YYYY
-     * @param {string} monthYearKey - Ключ месяца в формате YYYY-MM
-     * @returns {boolean} - true, если дата заблокирована
+     * Глобальные настройки (хранятся в модели)
+     * @returns {Object}
      */
-    isDateBlocked(dateString, monthYearKey) {
-        if (!dateString || !monthYearKey) {
-            console.error(`[UnifiedCalendarManager] Неверные параметры в isDateBlocked: дата=${dateString}, ключ=${monthYearKey}`);
-            return false;
-        }
+    get settings() {
+        return this.model.settings;
+    }
 
-        if (!this.calendarData.blockedDates[monthYearKey]) return false;
+    set settings(settings) {
+        this.model.settings = settings;
+    }
 
-        return this.calendarData.blockedDates[monthYearKey].some(item => {
-            if (typeof item === 'object' && item.date) {
-                return item.date === dateString;
-            }
-            return item === dateString;
-        });
+    /**
+     * Подписка на событие календаря
+     * @param {string} type - Тип события (значение из CALENDAR_EVENTS)
+     * @param {Function} handler - Обработчик, получает CustomEvent (данные в event.detail)
+     * @returns {Function} - Функция отписки
+     */
+    on(type, handler) {
+        this.root.addEventListener(type, handler);
+        return () => this.off(type, handler);
     }
 
     /**
-     * Получение цены для заблокированной даты
-     * @param {string} dateString - Строка даты в формате DD.MM.YYYY
-     * @param {string} monthYearKey - Ключ месяца в формате YYYY-MM
-     * @returns {number} - Цена для заблокированной даты или 0 по умолчанию
+     * Отписка от события календаря
+     * @param {string} type - Тип события (значение из CALENDAR_EVENTS)
+     * @param {Function} handler - Ранее подписанный обработчик
      */
-    getBlockedDatePrice(dateString, monthYearKey) {
-        if (!dateString || !monthYearKey) {
-            console.error(`[UnifiedCalendarManager] Неверные параметры в getBlockedDatePrice: дата=${dateString}, ключ=${monthYearKey}`);
-            return 0;
+    off(type, handler) {
+        this.root.removeEventListener(type, handler);
+    }
+
+    /**
+     * Отправка события календаря
+     * @param {string} type - Тип события (значение из CALENDAR_EVENTS)
+     * @param {Object} [detail] - Данные события
+     */
+    emit(type, detail = {}) {
+        try {
+            this.root.dispatchEvent(new CustomEvent(type, {
+                bubbles: true,
+                detail: { listingId: this.listingId, ...detail }
+            }));
+        } catch (error) {
+            console.error(`[UnifiedCalendarManager] Ошибка при отправке события ${type}:`, error);
         }
+    }
+
+    /**
+     * Описание диапазона для данных событий
+     * @param {Object} range - Диапазон {start, end} из объектов полной даты
+     * @returns {Object} - {start, end} в формате YYYY-MM-DD
+     */
+    describeRange(range) {
+        return {
+            start: range.start.date,
+            end: range.end.date
+        };
+    }
+
+    /**
+     * Поиск элемента по имени из карты селекторов
+     * @param {string} name - Имя селектора (ключ DEFAULT_SELECTORS)
+     * @param {Element} [scope] - Элемент, внутри которого выполняется поиск (по умолчанию корень календаря)
+     * @returns {Element|null}
+     */
+    getElement(name, scope = this.root) {
+        return scope.querySelector(this.selectors[name]);
+    }
+
+    /**
+     * Поиск всех элементов по имени из карты селекторов
+     * @param {string} name - Имя селектора (ключ DEFAULT_SELECTORS)
+     * @param {Element} [scope] - Элемент, внутри которого выполняется поиск (по умолчанию корень календаря)
+     * @returns {NodeList}
+     */
+    getElements(name, scope = this.root) {
+        return scope.querySelectorAll(this.selectors[name]);
+    }
+
+    /**
+     * Поиск дочерних элементов всех элементов из карты селекторов
+     * @param {string} name - Имя селектора (ключ DEFAULT_SELECTORS)
+     * @returns {Element[]}
+     */
+    getDescendants(name) {
+        return Array.from(this.getElements(name)).flatMap(element => Array.from(element.querySelectorAll('*')));
+    }
+
+    /**
+     * Поиск оберток дней календаря
+     * @param {string} [modifier] - Дополнение к селектору обертки (например, ':not(.not_exist)' или '.is-wait')
+     * @returns {NodeList}
+     */
+    getDayWrappers(modifier = '') {
+        return this.root.querySelectorAll(`${this.selectors.dayWrapper}${modifier}`);
+    }
+
+    /**
+     * Обертка дня для даты, если дата видна в одной из сеток
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {HTMLElement|null}
+     */
+    getDayWrapperByDate(dateKey) {
+        return this.root.querySelector(`${this.selectors.dayWrapper}[${this.attributes.dateKey}="${dateKey}"]`);
+    }
 
-        if (!this.calendarData.blockedDates[monthYearKey]) return 0;
+    /**
+     * Сетки месяцев: элементы calendar-month-view, иначе контейнеры дней.
+     * Без таких элементов единственной сеткой считается корень календаря.
+     * @returns {Element[]} - Первые monthsVisible сеток
+     */
+    getMonthGrids() {
+        const views = Array.from(this.getElements('monthView'));
+        const grids = views.length ? views : Array.from(this.getElements('daysWrapper'));
+        return grids.length ? grids.slice(0, this.monthsVisible) : [this.root];
+    }
 
-        const blockedItem = this.calendarData.blockedDates[monthYearKey].find(item => {
-            if (typeof item === 'object' && item.date) {
-                return item.date === dateString;
+    /**
+     * Подготовка сеток многомесячного вида
+     * Первая сетка клонируется до monthsVisible штук; лишние сетки разметки скрываются.
+     * Вызывается до initHandlers, чтобы обработчики получили и ячейки клонов.
+     */
+    renderMonthViews() {
+        const views = Array.from(this.getElements('monthView'));
+        const grids = views.length ? views : Array.from(this.getElements('daysWrapper'));
+        if (grids.length === 0) {
+            if (this.monthsVisible > 1) {
+                console.warn('[UnifiedCalendarManager] Не найдена сетка месяца для многомесячного вида');
+                this.monthsVisible = 1;
             }
-            return item === dateString;
+            return;
+        }
+
+        for (let index = grids.length; index < this.monthsVisible; index++) {
+            const clone = grids[0].cloneNode(true);
+            clone.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+            clone.removeAttribute('id');
+            grids[grids.length - 1].after(clone);
+            grids.push(clone);
+        }
+
+        grids.slice(this.monthsVisible).forEach(grid => {
+            grid.hidden = true;
         });
+    }
+
+    /**
+     * Сдвиг ключа месяца
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * @param {number} offset - Число месяцев (может быть отрицательным)
+     * @returns {string} - Ключ месяца в формате YYYY-MM
+     */
+    shiftMonthKey(monthKey, offset) {
+        const [year, month] = monthKey.split('-').map(Number);
+        const index = year * 12 + (month - 1) + offset;
+        return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+    }
 
-        if (!blockedItem) return 0;
-        return typeof blockedItem === 'object' ? blockedItem.price : 0;
+    /**
+     * Ключи видимых месяцев, начиная с currentMonthKey
+     * @returns {string[]}
+     */
+    getVisibleMonthKeys() {
+        return Array.from({ length: this.monthsVisible }, (_, index) => this.shiftMonthKey(this.currentMonthKey, index));
     }
 
     /**
-     * Проверка, пересекается ли новый диапазон с существующими
-     * @param {number} newStart - Начальная временная метка нового диапазона
-     * @param {number} newEnd - Конечная временная метка нового диапазона
-     * @returns {boolean} - true, если есть пересечение
+     * Проверка наличия обязательных элементов разметки
+     * @returns {string[]} - Имена отсутствующих селекторов
      */
-    isRangeOverlap(newStart, newEnd) {
-        if (!newStart || !newEnd || isNaN(newStart) || isNaN(newEnd)) {
-            console.error(`[UnifiedCalendarManager] Неверные параметры в isRangeOverlap: начало=${newStart}, конец=${newEnd}`);
-            return false;
+    checkRequiredElements() {
+        const missing = REQUIRED_SELECTORS.filter(name => !this.getElement(name));
+        
+        if (missing.length > 0) {
+            const details = missing.map(name => `${name} (${this.selectors[name]})`).join(', ');
+            console.error(`[UnifiedCalendarManager] Не найдены обязательные элементы разметки: ${details}`);
         }
-
-        return this.calendarData.dateRanges.some(range =>
-            (newStart <= range.end.timestamp && newEnd >= range.start.timestamp)
-        );
+        
+        return missing;
     }
 
     /**
-     * Загрузка глобальных настроек из localStorage
+     * Форматирование даты
      */
-    loadGlobalSettings() {
+    formatDate(day, month, year) {
         try {
-            console.log('[UnifiedCalendarManager] Загрузка глобальных настроек...');
-            
-            // Инициализируем объект window.calendarSettings, если он не существует
-            if (typeof window.calendarSettings === 'undefined') {
-                console.warn('[UnifiedCalendarManager] Объект window.calendarSettings не найден, создаем его');
-                window.calendarSettings = {};
+            // Проверяем корректность параметров
+            if (!day || day <= 0 || !month || !year) {
+                console.warn(`[UnifiedCalendarManager] Неверные параметры даты: день=${day}, месяц=${month}, год=${year}`);
+                return '';
             }
             
-            // Инициализируем объект window.calendarSettings.load, если он не существует
-            if (typeof window.calendarSettings.load === 'undefined') {
-                console.warn('[UnifiedCalendarManager] Объект window.calendarSettings.load не найден, создаем его');
-                window.calendarSettings.load = {
-                    globalSettings: true,
-                    monthData: true
-                };
-            }
+            // Форматируем день и месяц с ведущим нулем
+            const formattedDay = day.toString().padStart(2, '0');
+            const formattedMonth = month.toString().padStart(2, '0');
             
-            // Инициализируем объект window.calendarSettings.settings, если он не существует
-            if (typeof window.calendarSettings.settings === 'undefined') {
-                console.warn('[UnifiedCalendarManager] Объект window.calendarSettings.settings не найден, создаем его');
-                window.calendarSettings.settings = {
-                    defaultPrice: 0,
-                    weekendDiscount: 0,
-                    weekendDiscountEnabled: false
-                };
+            // Возвращаем отформатированную дату
+            return `${year}-${formattedMonth}-${formattedDay}`;
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при форматировании даты:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Форматтер дат для локали календаря (создается один раз на набор параметров)
+     * @param {Object} options - Параметры Intl.DateTimeFormat
+     * @returns {Intl.DateTimeFormat}
+     */
+    getDateFormatter(options) {
+        const key = JSON.stringify(options);
+        if (!this.dateFormatters[key]) {
+            this.dateFormatters[key] = new Intl.DateTimeFormat(this.locale, options);
+        }
+        return this.dateFormatters[key];
+    }
+
+    /**
+     * Дата для форматирования ключа YYYY-MM-DD: полночь UTC, форматируется с timeZone: 'UTC',
+     * поэтому переход на летнее время и пояс браузера не сдвигают день
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {Date}
+     */
+    dateFromKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * Форматирование даты для отображения в локали календаря
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @param {Object} [options] - Параметры Intl.DateTimeFormat (по умолчанию день, месяц и год)
+     * @returns {string}
+     */
+    formatDisplayDate(dateKey, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+        return this.getDateFormatter({ ...options, timeZone: 'UTC' }).format(this.dateFromKey(dateKey));
+    }
+
+    /**
+     * Заголовок месяца в локали календаря ("Октябрь 2026", "Oktober 2026")
+     * @param {number} year - Год
+     * @param {number} month - Месяц (1-12)
+     * @returns {string}
+     */
+    formatMonthTitle(year, month) {
+        const parts = this.getDateFormatter({ month: 'long', year: 'numeric', timeZone: 'UTC' })
+            .formatToParts(new Date(Date.UTC(year, month - 1, 1)));
+
+        // Отбрасываем подпись после года (например, " г." в русской локали)
+        const valueTypes = parts.filter(part => part.type !== 'literal').map(part => part.type);
+        if (valueTypes[valueTypes.length - 1] === 'year') {
+            while (parts[parts.length - 1].type === 'literal') {
+                parts.pop();
             }
-            
-            // Инициализируем объект window.calendarSettings.data, если он не существует
-            if (typeof window.calendarSettings.data === 'undefined') {
-                console.warn('[UnifiedCalendarManager] Объект window.calendarSettings.data не найден, создаем его');
-                window.calendarSettings.data = {};
+        }
+        const title = parts.map(part => part.value).join('');
+
+        return title.charAt(0).toLocaleUpperCase(this.locale) + title.slice(1);
+    }
+
+    /**
+     * Название дня недели в локали календаря
+     * @param {number} dayOfWeek - День недели (0 - воскресенье ... 6 - суббота)
+     * @param {string} [width] - Длина названия для Intl.DateTimeFormat: 'long', 'short' или 'narrow'
+     * @returns {string}
+     */
+    getWeekdayName(dayOfWeek, width = 'long') {
+        // 7 января 2024 года - воскресенье
+        const name = this.getDateFormatter({ weekday: width }).format(new Date(2024, 0, 7 + dayOfWeek));
+        return name.charAt(0).toLocaleUpperCase(this.locale) + name.slice(1);
+    }
+
+    /**
+     * Первый день недели в сетке календаря
+     * @returns {number} - 0 (воскресенье) - 6 (суббота)
+     */
+    getWeekStart() {
+        const weekStart = this.settings.weekStart !== undefined ? this.settings.weekStart : this.defaultWeekStart;
+        return Number.isInteger(Number(weekStart)) && weekStart >= 0 && weekStart <= 6 ? Number(weekStart) : 1;
+    }
+
+    /**
+     * Заполнение заголовков дней недели (колонки начинаются с первого дня недели)
+     */
+    renderWeekdayHeaders() {
+        const weekStart = this.getWeekStart();
+        this.getElements('weekdayHeader').forEach((header, index) => {
+            header.textContent = this.getWeekdayName((index + weekStart) % 7, 'short');
+        });
+
+        const weekStartInput = this.getElement('weekStartInput');
+        if (weekStartInput) {
+            weekStartInput.value = String(weekStart);
+        }
+    }
+
+    /**
+     * Изменение первого дня недели
+     * @param {number} weekStart - День недели (0 - воскресенье, 1 - понедельник ... 6 - суббота)
+     */
+    setWeekStart(weekStart) {
+        try {
+            const day = Number(weekStart);
+            if (!Number.isInteger(day) || day < 0 || day > 6) {
+                console.error(`[UnifiedCalendarManager] Некорректный первый день недели: ${weekStart}`);
+                this.renderWeekdayHeaders();
+                return;
             }
-            
-            // Проверяем, нужно ли загружать глобальные настройки
-            if (window.calendarSettings.load.globalSettings) {
-                console.log('[UnifiedCalendarManager] Загрузка глобальных настроек разрешена');
-                
-                // Загружаем настройки
-                this.settings = {
-                    defaultPrice: window.calendarSettings.settings.defaultPrice || 0,
-                    weekendDiscount: window.calendarSettings.settings.weekendDiscount || 0,
-                    weekendDiscountEnabled: window.calendarSettings.settings.weekendDiscountEnabled || false
-                };
-                
-                console.log('[UnifiedCalendarManager] Глобальные настройки загружены:', this.settings);
-            } else {
-                console.log('[UnifiedCalendarManager] Загрузка глобальных настроек отключена');
-                
-                // Используем настройки по умолчанию
-                this.settings = {
-                    defaultPrice: 0,
-                    weekendDiscount: 0,
-                    weekendDiscountEnabled: false
-                };
+
+            const historyBefore = this.captureState();
+            this.settings = { ...this.settings, weekStart: day };
+
+            // Сетка дней строится заново с новым смещением
+            this.updateCalendar();
+            this.commitSettingsChange('Изменение первого дня недели', historyBefore);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при изменении первого дня недели:', error);
+        }
+    }
+
+    /**
+     * Заполнение поля часового пояса объекта
+     */
+    renderTimezoneSettings() {
+        const timezoneInput = this.getElement('timezoneInput');
+        if (timezoneInput) {
+            timezoneInput.value = this.settings.timezone || '';
+        }
+    }
+
+    /**
+     * Изменение часового пояса объекта
+     * Пояс определяет, какой день считается сегодняшним (отметка today, правила раннего бронирования);
+     * сами даты хранятся ключами YYYY-MM-DD и от пояса не зависят.
+     * @param {string|null} timezone - Часовой пояс IANA (например, "Europe/Moscow"); пустое значение - пояс браузера
+     */
+    setTimezone(timezone) {
+        try {
+            const value = String(timezone || '').trim() || null;
+            if (value && !toDateKey(Date.now(), value)) {
+                this.renderTimezoneSettings();
+                return;
             }
+
+            const historyBefore = this.captureState();
+            this.settings = { ...this.settings, timezone: value };
+            this.commitSettingsChange('Изменение часового пояса', historyBefore);
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при загрузке глобальных настроек:', error);
-            
-            // Используем настройки по умолчанию в случае ошибки
-            this.settings = {
-                defaultPrice: 0,
-                weekendDiscount: 0,
-                weekendDiscountEnabled: false
-            };
+            console.error('[UnifiedCalendarManager] Ошибка при изменении часового пояса:', error);
         }
     }
 
     /**
-     * Сохранение глобальных настроек в localStorage
+     * Создание полной структуры даты
+     * @param {number|string} day - День
+     * @param {number|string} month - Месяц (1-12)
+     * @param {number|string} year - Год
+     * @returns {Object|null} - Объект даты или null при ошибке
      */
-    saveGlobalSettings() {
+    createFullDate(day, month, year) {
         try {
-            console.log('[UnifiedCalendarManager] Сохранение глобальных настроек...');
-            
-            // Получаем базовую цену
-            const defaultPrice = this.getBasePrice();
-            
-            // Получаем скидку для выходных дней
-            const weekendDiscountInput = document.querySelector('input[name="weekend_discount"]');
-            const weekendDiscount = weekendDiscountInput ? parseFloat(weekendDiscountInput.value) || 0 : 0;
-            
-            // Получаем состояние чекбокса скидки для выходных дней
-            const weekendDiscountCheckbox = document.querySelector('input[name="weekend_discount_enabled"]');
-            const weekendDiscountEnabled = weekendDiscountCheckbox ? weekendDiscountCheckbox.checked : false;
-            
-            // Обновляем настройки
-            this.settings = {
-                defaultPrice,
-                weekendDiscount,
-                weekendDiscountEnabled
-            };
-            
-            // Сохраняем настройки в глобальный объект
-            if (!window.calendarSettings) {
-                window.calendarSettings = {};
+            if (!(parseInt(month) >= 1 && parseInt(month) <= 12)) {
+                console.error(`[UnifiedCalendarManager] Неизвестный месяц: ${month}`);
+                return null;
             }
-            
-            if (!window.calendarSettings.settings) {
-                window.calendarSettings.settings = {};
+
+            const monthNum = String(parseInt(month)).padStart(2, '0');
+            const dateKey = `${parseInt(year)}-${monthNum}-${String(parseInt(day)).padStart(2, '0')}`;
+
+            // Проверка валидности даты: 31.02 и подобные не совпадут с ключом после разбора
+            const dateObj = new Date(Date.UTC(parseInt(year), parseInt(monthNum) - 1, parseInt(day)));
+            if (isNaN(dateObj.getTime()) || dateObj.toISOString().slice(0, 10) !== dateKey) {
+                console.error(`[UnifiedCalendarManager] Невалидная дата: ${day}.${monthNum}.${year}`);
+                return null;
             }
-            
-            window.calendarSettings.settings = {
-                defaultPrice,
-                weekendDiscount,
-                weekendDiscountEnabled
+
+            return {
+                day: parseInt(day),
+                month: monthNum,
+                year: parseInt(year),
+                date: dateKey
             };
-            
-            console.log('[UnifiedCalendarManager] Глобальные настройки сохранены:', this.settings);
-            
-            // Обновляем календарь
-            this.updateCalendar();
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при сохранении глобальных настроек:', error);
+            console.error(`[UnifiedCalendarManager] Ошибка создания объекта даты:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Получение объекта даты для ячейки любой видимой сетки
+     * @param {HTMLElement} dayWrapper - DOM-элемент дня
+     * @returns {Object|null} - Объект даты или null для пустой ячейки
+     */
+    getDayWrapperDate(dayWrapper) {
+        const dateKey = dayWrapper.getAttribute(this.attributes.dateKey);
+        if (!dateKey || dayWrapper.classList.contains('not_exist')) return null;
+
+        const [year, month, day] = dateKey.split('-');
+        return this.createFullDate(day, month, year);
+    }
+
+    /**
+     * Получение объекта даты начала незавершенного диапазона
+     * @returns {Object|null} - Объект даты или null, если выбор не начат
+     */
+    getPendingStartDate() {
+        if (this.tempSelection.isRangeConfirmed || !this.tempSelection.start) return null;
+
+        return this.createFullDate(this.tempSelection.start, this.tempSelection.startMonth, this.tempSelection.startYear);
+    }
+
+    /**
+     * Получение цены для дня
+     * @param {number} day - День месяца
+     * @returns {string} - Цена в формате строки
+     */
+    getPriceForDay(day) {
+        try {
+            const [year, month] = this.currentMonthKey.split('-');
+            return String(this.model.getPriceForDay(this.formatDate(day, month, year)));
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при получении цены для дня:', error);
+            return '0';
+        }
+    }
+
+    /**
+     * Пересчет суммы из валюты цен в валюту отображения
+     * Без курса для валюты отображения сумма остается в валюте цен.
+     * @param {number} amount - Сумма в валюте цен (settings.currency)
+     * @returns {Object} - {amount, currency}
+     */
+    convertPrice(amount) {
+        const currency = this.settings.currency || 'RUB';
+        const displayCurrency = this.settings.displayCurrency;
+        if (!displayCurrency || displayCurrency === currency) {
+            return { amount, currency };
+        }
+
+        // Курсы заданы как количество единиц валюты за единицу базовой валюты таблицы
+        const table = this.currencyRates || { rates: {} };
+        const rateOf = code => (code === table.base ? 1 : Number(table.rates[code]));
+        const rate = rateOf(displayCurrency) / rateOf(currency);
+
+        if (!isFinite(rate) || rate <= 0) {
+            console.warn(`[UnifiedCalendarManager] Нет курса ${currency} -> ${displayCurrency}, цены показываются в ${currency}`);
+            return { amount, currency };
+        }
+
+        return { amount: amount * rate, currency: displayCurrency };
+    }
+
+    /**
+     * Форматтер цен для валюты (создается один раз на валюту)
+     * @param {string} currency - Код валюты ISO 4217
+     * @returns {Intl.NumberFormat}
+     */
+    getPriceFormatter(currency) {
+        if (!this.priceFormatters[currency]) {
+            this.priceFormatters[currency] = new Intl.NumberFormat(this.locale, {
+                style: 'currency',
+                currency,
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 2
+            });
+        }
+        return this.priceFormatters[currency];
+    }
+
+    /**
+     * Форматирование цены для вывода (с пересчетом в валюту отображения)
+     * @param {number} amount - Сумма в валюте цен
+     * @returns {string}
+     */
+    formatPrice(amount) {
+        const converted = this.convertPrice(Number(amount) || 0);
+        return this.getPriceFormatter(converted.currency).format(converted.amount);
+    }
+
+    /**
+     * Вывод цены в ячейку дня
+     * Если в ячейке есть [price-currency], символ валюты пишется в него, а в [service-price] - только число.
+     * @param {HTMLElement} dayWrapper - DOM-элемент дня
+     * @param {number} price - Цена в валюте цен
+     */
+    renderDayPrice(dayWrapper, price) {
+        const servicePriceElement = this.getElement('servicePrice', dayWrapper);
+        if (!servicePriceElement) return;
+
+        const priceCurrencyElement = this.getElement('priceCurrency', dayWrapper);
+        if (!priceCurrencyElement) {
+            servicePriceElement.textContent = this.formatPrice(price);
+            return;
+        }
+
+        const converted = this.convertPrice(Number(price) || 0);
+        const parts = this.getPriceFormatter(converted.currency).formatToParts(converted.amount);
+        servicePriceElement.textContent = parts
+            .filter(part => part.type !== 'currency')
+            .map(part => part.value)
+            .join('')
+            .trim();
+        priceCurrencyElement.textContent = (parts.find(part => part.type === 'currency') || {}).value || '';
+    }
+
+    /**
+     * Загрузка таблицы курсов валют
+     * Источник: calendarSettings.currencyRates ({base, rates} или {код: курс})
+     * или локальный JSON-файл calendarSettings.currencyRatesUrl в том же формате.
+     * @returns {Promise<void>}
+     */
+    loadCurrencyRates() {
+        const config = this.pageSettings.currencyRates || window.calendarSettings.currencyRates;
+        const url = this.pageSettings.currencyRatesUrl || window.calendarSettings.currencyRatesUrl;
+
+        const applyRates = table => {
+            const rates = table.rates || table;
+            this.currencyRates = { base: table.base || this.settings.currency || 'RUB', rates: { ...rates } };
+        };
+
+        if (config) {
+            applyRates(config);
+            return Promise.resolve();
+        }
+
+        if (!url) {
+            return Promise.resolve();
+        }
+
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(table => {
+                applyRates(table);
+                console.log(`[UnifiedCalendarManager] Курсы валют загружены из ${url}`);
+
+                // Цены уже отрисованы - обновляем их в валюте отображения
+                this.loadMonthPrices();
+            })
+            .catch(error => {
+                console.error(`[UnifiedCalendarManager] Ошибка при загрузке курсов валют из ${url}:`, error);
+            });
+    }
+
+    /**
+     * Изменение валюты цен и валюты отображения
+     * @param {string} currency - Код валюты цен ISO 4217 (например, "RUB")
+     * @param {string|null} [displayCurrency] - Код валюты отображения (null - как валюта цен)
+     */
+    setCurrency(currency, displayCurrency = this.settings.displayCurrency) {
+        try {
+            const code = String(currency || '').trim().toUpperCase();
+            const displayCode = displayCurrency ? String(displayCurrency).trim().toUpperCase() : null;
+
+            // Intl.NumberFormat отклоняет некорректные коды валют
+            this.getPriceFormatter(code);
+            if (displayCode) {
+                this.getPriceFormatter(displayCode);
+            }
+
+            const historyBefore = this.captureState();
+            this.settings = { ...this.settings, currency: code, displayCurrency: displayCode };
+
+            this.commitSettingsChange('Изменение валюты', historyBefore);
+            this.renderQuote();
+        } catch (error) {
+            console.error(`[UnifiedCalendarManager] Некорректная валюта: ${currency}, ${displayCurrency}`, error);
+        }
+    }
+
+    /**
+     * Заполнение полей валюты в панели настроек
+     */
+    renderCurrencySettings() {
+        const currencyInput = this.getElement('currencyInput');
+        if (currencyInput) {
+            currencyInput.value = this.settings.currency || 'RUB';
+        }
+
+        const displayCurrencyInput = this.getElement('displayCurrencyInput');
+        if (displayCurrencyInput) {
+            displayCurrencyInput.value = this.settings.displayCurrency || '';
+        }
+    }
+
+    /**
+     * Инициализация обработчиков полей валюты
+     */
+    initCurrencyHandlers() {
+        try {
+            const currencyInput = this.getElement('currencyInput');
+            const displayCurrencyInput = this.getElement('displayCurrencyInput');
+
+            [currencyInput, displayCurrencyInput].filter(Boolean).forEach(input => {
+                input.addEventListener('change', () => {
+                    this.setCurrency(
+                        currencyInput ? currencyInput.value : this.settings.currency,
+                        displayCurrencyInput ? displayCurrencyInput.value || null : this.settings.displayCurrency
+                    );
+                    // При ошибке в полях остаются сохраненные значения
+                    this.renderCurrencySettings();
+                });
+            });
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при инициализации обработчиков валюты:', error);
+        }
+    }
+
+    /**
+     * Обработка клика по дню календаря
+     * @param {HTMLElement} dayElement - Элемент дня календаря
+     */
+    handleDayClick(dayElement) {
+        try {
+            console.log('[UnifiedCalendarManager] Клик по дню календаря:', dayElement);
+            
+            // Проверяем, что элемент существует и не является пустым днем
+            if (!dayElement || dayElement.classList.contains('not_exist')) {
+                return;
+            }
+            
+            // Получаем дату из атрибута
+            const dateStr = dayElement.getAttribute('data-date');
+            if (!dateStr) {
+                console.error('[UnifiedCalendarManager] Дата не найдена в атрибуте data-date');
+                return;
+            }
+            
+            // Инициализируем объект выбора диапазона, если он не существует
+            if (!this.rangeSelection) {
+                this.rangeSelection = {
+                    startDate: null,
+                    endDate: null,
+                    isRangeConfirmed: false
+                };
+            }
+            
+            // Если диапазон уже подтвержден, сбрасываем его
+            if (this.rangeSelection.isRangeConfirmed) {
+                this.resetRangeSelection();
+            }
+            
+            // Если начальная дата не выбрана, устанавливаем ее
+            if (!this.rangeSelection.startDate) {
+                this.rangeSelection.startDate = dateStr;
+                dayElement.classList.add('selected');
+                console.log(`[UnifiedCalendarManager] Выбрана начальная дата: ${dateStr}`);
+            } 
+            // Если начальная дата выбрана, но конечная нет
+            else if (!this.rangeSelection.endDate) {
+                // Проверяем, что конечная дата не раньше начальной
+                if (dateStr < this.rangeSelection.startDate) {
+                    // Если конечная дата раньше начальной, меняем их местами
+                    this.rangeSelection.endDate = this.rangeSelection.startDate;
+                    this.rangeSelection.startDate = dateStr;
+                } else {
+                    this.rangeSelection.endDate = dateStr;
+                }
+                
+                // Подтверждаем выбор диапазона
+                this.rangeSelection.isRangeConfirmed = true;
+                
+                // Подсвечиваем диапазон
+                this.highlightRange(this.rangeSelection.startDate, this.rangeSelection.endDate);
+                
+                // Обновляем скрытые поля с датами
+                this.updateDateInputs();
+                
+                console.log(`[UnifiedCalendarManager] Выбран диапазон: ${this.rangeSelection.startDate} - ${this.rangeSelection.endDate}`);
+            }
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при обработке клика по дню календаря:', error);
+        }
+    }
+
+    /**
+     * Инициализация обработчиков событий для дней календаря
+     */
+    initDayEventHandlers() {
+        try {
+            console.log('[UnifiedCalendarManager] Инициализация обработчиков событий для дней календаря');
+            
+            // Получаем все дни календаря
+            const calendarDays = this.getDayWrappers(':not(.not_exist)');
+            
+            // Добавляем обработчики клика
+            calendarDays.forEach(day => {
+                day.addEventListener('click', () => {
+                    this.handleDayClick(day);
+                });
+            });
+            
+            console.log('[UnifiedCalendarManager] Обработчики событий для дней календаря инициализированы');
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при инициализации обработчиков событий для дней календаря:', error);
+        }
+    }
+
+    /**
+     * Инициализация менеджера календаря
+     */
+    init() {
+        // Сообщаем об отсутствующих элементах разметки до начала работы
+        this.checkRequiredElements();
+
+        // Загружаем настройки; текущий месяц определяется по часовому поясу объекта
+        this.loadGlobalSettings();
+        this.currentMonthKey = this.getDefaultMonthKey();
+        this.loadMonthData(this.currentMonthKey);
+
+        // Сетки видимых месяцев создаются до обработчиков, чтобы клики и hover работали во всех
+        this.renderMonthViews();
+
+        // Инициализируем обработчики событий
+        this.initHandlers();
+        this.renderPricingRules();
+
+        // Заполняем поля цен по дням недели и валюты, легенду блокировок
+        this.renderWeekdaySettings();
+        this.renderCurrencySettings();
+        this.renderWeekdayHeaders();
+        this.renderTimezoneSettings();
+        this.renderBlockLegend();
+
+        // Курсы валют нужны только для валюты отображения; после загрузки цены перерисовываются
+        this.loadCurrencyRates();
+
+        // Обновляем календарь
+        this.updateCalendar();
+        
+        // Обновляем заголовок месяца
+        this.updateMonthTitle();
+
+        // Логируем информацию о запуске
+        console.log(`[UnifiedCalendarManager] Инициализирован для месяца ${this.currentMonthKey}`);
+        this.emit(CALENDAR_EVENTS.READY, { monthKey: this.currentMonthKey });
+    }
+
+    /**
+     * Получение ключа месяца по умолчанию (текущий месяц и год в часовом поясе объекта)
+     * @returns {string} - Ключ месяца в формате YYYY-MM
+     */
+    getDefaultMonthKey() {
+        return this.model.getTodayKey().slice(0, 7);
+    }
+
+    /**
+     * Получение базовой цены
+     * @returns {number} Базовая цена
+     */
+    getBasePrice() {
+        try {
+            // Вызывается моделью для каждого дня, поэтому без журналирования
+            // Проверяем, существует ли элемент ввода базовой цены
+            const basePriceInput = this.getElement('basePriceInput');
+            if (basePriceInput) {
+                // Получаем значение из поля ввода
+                return parseFloat(basePriceInput.value) || 0;
+            }
+            
+            // Если элемент ввода не найден, используем значение из настроек
+            if (this.settings && typeof this.settings.defaultPrice !== 'undefined') {
+                return Number(this.settings.defaultPrice) || 0;
+            }
+            
+            // Если настройки не определены, используем значение по умолчанию
+            return 0;
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при получении базовой цены:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Проверка, входит ли дата в какой-либо диапазон
+     * @param {Object} fullDate - Объект даты
+     * @returns {boolean} - true, если дата входит в диапазон
+     */
+    isDateInRanges(fullDate) {
+        if (!fullDate || !fullDate.date) {
+            console.error('[UnifiedCalendarManager] Передан неверный объект даты в isDateInRanges');
+            return false;
+        }
+
+        return this.calendarData.dateRanges.some(range => {
+            return fullDate.date >= range.start.date &&
+                   fullDate.date <= range.end.date;
+        });
+    }
+
+    /**
+     * Проверка, исключена ли дата
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {boolean} - true, если дата исключена
+     */
+    isDateExcluded(dateKey) {
+        if (!dateKey) {
+            console.error('[UnifiedCalendarManager] Передана неверная дата в isDateExcluded');
+            return false;
+        }
+
+        return this.calendarData.excludedDates.has(dateKey);
+    }
+
+    /**
+     * Проверка, заблокирована ли дата
+     * @param {string} dateString - Строка даты в формате YYYY-MM-DD
+     * @param {string} monthYearKey - Ключ месяца в формате YYYY-MM
+     * @returns {boolean} - true, если дата заблокирована
+     */
+    isDateBlocked(dateString, monthYearKey) {
+        return this.model.isDateBlocked(dateString, monthYearKey);
+    }
+
+    /**
+     * Получение цены для заблокированной даты
+     * @param {string} dateString - Строка даты в формате YYYY-MM-DD
+     * @param {string} monthYearKey - Ключ месяца в формате YYYY-MM
+     * @returns {number} - Цена для заблокированной даты или 0 по умолчанию
+     */
+    getBlockedDatePrice(dateString, monthYearKey) {
+        return this.model.getBlockedDatePrice(dateString, monthYearKey);
+    }
+
+    /**
+     * Проверка, пересекается ли новый диапазон с существующими
+     * @param {number} newStart - Начальная временная метка нового диапазона
+     * @param {number} newEnd - Конечная временная метка нового диапазона
+     * @returns {boolean} - true, если есть пересечение
+     */
+    isRangeOverlap(newStart, newEnd) {
+        return this.model.isRangeOverlap(newStart, newEnd);
+    }
+
+    /**
+     * Загрузка глобальных настроек из хранилища
+     */
+    loadGlobalSettings() {
+        try {
+            console.log('[UnifiedCalendarManager] Загрузка глобальных настроек...');
+            
+            // Инициализируем объект настроек страницы.load, если он не существует
+            if (typeof this.pageSettings.load === 'undefined') {
+                console.warn('[UnifiedCalendarManager] Объект настроек страницы load не найден, создаем его');
+                this.pageSettings.load = {
+                    globalSettings: true,
+                    monthData: true
+                };
+            }
+            
+            // Инициализируем объект настроек страницы.settings, если он не существует
+            if (typeof this.pageSettings.settings === 'undefined') {
+                console.warn('[UnifiedCalendarManager] Объект настроек страницы settings не найден, создаем его');
+                this.pageSettings.settings = {
+                    defaultPrice: 0,
+                    weekendDays: [6, 0],
+                    weekdayPrices: {}
+                };
+            }
+            
+            // Инициализируем объект настроек страницы.data, если он не существует
+            if (typeof this.pageSettings.data === 'undefined') {
+                console.warn('[UnifiedCalendarManager] Объект настроек страницы data не найден, создаем его');
+                this.pageSettings.data = {};
+            }
+            
+            // Проверяем, нужно ли загружать глобальные настройки
+            if (this.pageSettings.load.globalSettings) {
+                console.log('[UnifiedCalendarManager] Загрузка глобальных настроек разрешена');
+                
+                // Загружаем настройки (сохраненные в хранилище имеют приоритет над настройками страницы).
+                // Мигрируются только настройки страницы: сохраненные уже мигрированы при загрузке,
+                // и повторная миграция вернула бы удаленные пользователем цены выходных дней
+                const storedSettings = this.storage.loadVersioned('calendarGlobalSettings', 'globalSettings');
+                this.settings = {
+                    ...SchemaMigrator.migrate('globalSettings', this.pageSettings.settings),
+                    ...(storedSettings || {})
+                };
+                
+                console.log('[UnifiedCalendarManager] Глобальные настройки загружены:', this.settings);
+            } else {
+                console.log('[UnifiedCalendarManager] Загрузка глобальных настроек отключена');
+                
+                // Используем настройки по умолчанию
+                this.settings = {
+                    defaultPrice: 0,
+                    weekendDays: [6, 0],
+                    weekdayPrices: {}
+                };
+            }
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при загрузке глобальных настроек:', error);
+            
+            // Используем настройки по умолчанию в случае ошибки
+            this.settings = {
+                defaultPrice: 0,
+                weekendDays: [6, 0],
+                weekdayPrices: {}
+            };
+        }
+    }
+
+    /**
+     * Сохранение глобальных настроек в хранилище
+     */
+    saveGlobalSettings() {
+        try {
+            console.log('[UnifiedCalendarManager] Сохранение глобальных настроек...');
+            
+            // Получаем базовую цену
+            const defaultPrice = this.getBasePrice();
+            
+            // Получаем цены по дням недели и выходные дни из панели настроек
+            const { weekdayPrices, weekendDays } = this.readWeekdaySettings();
+            
+            // Обновляем настройки (правила ценообразования и прочие настройки сохраняются)
+            this.settings = {
+                ...this.settings,
+                defaultPrice,
+                weekdayPrices,
+                weekendDays
+            };
+            
+            // Сохраняем настройки в объект настроек страницы
+            this.pageSettings.settings = { ...this.settings };
+            
+            // Сохраняем настройки в хранилище
+            this.storage.saveVersioned('calendarGlobalSettings', this.settings);
+            
+            console.log('[UnifiedCalendarManager] Глобальные настройки сохранены:', this.settings);
+            this.emit(CALENDAR_EVENTS.SETTINGS_SAVE, { settings: { ...this.settings } });
+            
+            // Обновляем календарь
+            this.updateCalendar();
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при сохранении глобальных настроек:', error);
+        }
+    }
+
+    /**
+     * Загрузка данных месяца из хранилища
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     */
+    loadMonthData(monthKey) {
+        try {
+            console.log(`[UnifiedCalendarManager] Загрузка данных месяца ${monthKey}...`);
+            
+            // Проверяем, существует ли объект настроек страницы.load
+            if (!this.pageSettings.load) {
+                console.warn('[UnifiedCalendarManager] Объект настроек страницы load не найден, создаем его');
+                this.pageSettings.load = {
+                    monthData: true
+                };
+            }
+            
+            // Проверяем, нужно ли загружать данные месяца
+            if (this.pageSettings.load.monthData) {
+                console.log(`[UnifiedCalendarManager] Загрузка данных месяца ${monthKey} разрешена`);
+                
+                // Проверяем, существует ли объект настроек страницы.data
+                if (!this.pageSettings.data) {
+                    console.warn('[UnifiedCalendarManager] Объект настроек страницы data не найден, создаем его');
+                    this.pageSettings.data = {};
+                }
+                
+                // Загружаем заблокированные даты (старые форматы мигрируются при загрузке)
+                this.calendarData.blockedDates = this.storage.loadVersioned('blockedDatesMap', 'blockedDatesMap', {});
+                
+                // Загружаем данные месяца из хранилища, а если их нет - из данных страницы
+                const pageMonthData = this.pageSettings.data[monthKey];
+                const monthData = this.loadMonthRecord(monthKey);
+                
+                if (monthData) {
+                    console.log(`[UnifiedCalendarManager] Данные для месяца ${monthKey} найдены`);
+                    
+                    // Загружаем данные месяца
+                    this.calendarData.basePrices[monthKey] = monthData;
+                    this.calendarData.activeDates = (pageMonthData && pageMonthData.activeDates) || {};
+                    this.calendarData.prices = {};
+                    monthData.prices.forEach(item => {
+                        this.calendarData.prices[item.date] = item.price;
+                    });
+                    
+                    console.log(`[UnifiedCalendarManager] Данные месяца ${monthKey} загружены`);
+                } else {
+                    // Цены дней не заполняются и не записываются в данные страницы: без записи месяца
+                    // каждый день получает цену по слоям из текущих настроек
+                    console.log(`[UnifiedCalendarManager] Данные для месяца ${monthKey} не найдены, используем пустые данные`);
+                    
+                    // Используем пустые данные; пустая запись не дает повторно загружать месяц
+                    this.calendarData.activeDates = {};
+                    this.calendarData.prices = {};
+                    this.model.ensureBasePrices(monthKey);
+                }
+            } else {
+                console.log(`[UnifiedCalendarManager] Загрузка данных месяца ${monthKey} отключена`);
+                
+                // Используем пустые данные
+                this.calendarData.activeDates = {};
+                this.calendarData.prices = {};
+            }
+        } catch (error) {
+            console.error(`[UnifiedCalendarManager] Ошибка при загрузке данных месяца ${monthKey}:`, error);
+            
+            // Используем пустые данные в случае ошибки
+            this.calendarData.activeDates = {};
+            this.calendarData.prices = {};
+        }
+    }
+
+    /**
+     * Скидка для выходных дней: процентная цена дня недели для каждого выходного
+     * @param {string|number} discountPercent - Процент скидки
+     */
+    applyWeekendDiscount(discountPercent) {
+        const discount = Math.abs(parseFloat(String(discountPercent).replace('%', '')));
+        if (!discount) {
+            console.warn('[UnifiedCalendarManager] Не указан процент скидки для выходных дней');
+            return;
+        }
+
+        const weekendDays = this.settings.weekendDays || [];
+        this.setWeekdayPrice(weekendDays, { type: PRICING_RULE_TYPES.PERCENT, value: -discount });
+        this.emit(CALENDAR_EVENTS.DISCOUNT, {
+            days: [...weekendDays],
+            discount,
+            price: this.applyDiscount(this.getBasePrice(), discount),
+            weekends: true
+        });
+    }
+
+    /**
+     * Блокировка дней в диапазоне (без сохранения и без сброса выбора)
+     * Общий путь для блокировки выбранного диапазона и импорта из iCalendar.
+     * Временные метки прежних сборок переводятся в ключи через normalizeDateKey.
+     * @param {string|number} start - Начало диапазона YYYY-MM-DD
+     * @param {string|number} end - Конец диапазона YYYY-MM-DD
+     * @param {Object} [options] - Параметры блокировки
+     * @param {number} [options.price] - Цена, сохраняемая для заблокированных дней
+     * @param {string} [options.source] - Источник блокировки (например, "airbnb" для импорта)
+     * @param {string} [options.category] - Категория из BLOCK_CATEGORIES
+     * @param {string} [options.label] - Подпись блокировки
+     * @returns {Set<string>} - Ключи затронутых месяцев
+     */
+    blockDateRange(start, end, options = {}) {
+        const startKey = normalizeDateKey(start);
+        const endKey = normalizeDateKey(end);
+        if (!startKey || !endKey) {
+            console.error(`[UnifiedCalendarManager] Некорректный диапазон для блокировки: ${start} - ${end}`);
+            return new Set();
+        }
+
+        const price = options.price !== undefined ? options.price : this.getBasePrice();
+        const affectedDays = this.model.blockDates(startKey, endKey, { ...options, price });
+        
+        // Обновляем UI для видимых месяцев
+        affectedDays.forEach(({ date, monthKey }) => {
+            const dayWrapper = this.getDayWrapperByDate(date);
+            if (!dayWrapper) return;
+
+            // Добавляем класс is-blocked для обозначения блокировки
+            dayWrapper.classList.add('is-blocked');
+            dayWrapper.classList.remove('is-selected');
+            dayWrapper.classList.remove('is-active');
+            dayWrapper.classList.remove('is-lead-time');
+            this.renderBlockedDayState(dayWrapper, this.model.getBlockedItem(date, monthKey));
+            
+            // Обновляем отображаемую цену (для заблокированных дней обычно не показывается)
+            this.renderDayPrice(dayWrapper, price);
+        });
+
+        return new Set(affectedDays.map(({ monthKey }) => monthKey));
+    }
+
+    /**
+     * Блокировка выбранного диапазона дат
+     * Категория и подпись берутся из параметров или из полей block_category и block_label.
+     * @param {Object} [options] - Параметры блокировки
+     * @param {string} [options.category] - Категория из BLOCK_CATEGORIES
+     * @param {string} [options.label] - Подпись блокировки
+     */
+    blockSelectedRange(options = {}) {
+        if (this.calendarData.dateRanges.length === 0) {
+            console.warn('[UnifiedCalendarManager] Нет выбранных диапазонов для блокировки');
+            return;
+        }
+
+        try {
+            const lastRange = this.calendarData.dateRanges[this.calendarData.dateRanges.length - 1];
+            if (!lastRange || !lastRange.start || !lastRange.end) {
+                console.error('[UnifiedCalendarManager] Некорректный диапазон дат');
+                return;
+            }
+
+            // Получаем текущую базовую цену, категорию и подпись
+            const basePrice = this.getBasePrice();
+            const { category, label } = { ...this.getBlockInputValues(), ...options };
+            const historyBefore = this.captureState();
+            
+            // Блокируем все дни в диапазоне
+            this.blockDateRange(lastRange.start.date, lastRange.end.date, { price: basePrice, category, label });
+            
+            // Сохраняем данные для всех затронутых месяцев
+            this.storage.saveVersioned('blockedDatesMap', this.calendarData.blockedDates);
+            
+            // Удаляем заблокированный диапазон из выбранных
+            this.calendarData.dateRanges.pop();
+            this.recordHistory('Блокировка диапазона', historyBefore);
+            this.emit(CALENDAR_EVENTS.BLOCK, {
+                ranges: [this.describeRange(lastRange)],
+                price: basePrice,
+                source: null,
+                category: this.model.resolveBlockCategory(category),
+                label: String(label || '').trim() || null
+            });
+            
+            // Обновляем отображение и состояние
+            this.updateAllDaysDisplay();
+            this.toggleSettingsVisibility(false);
+            this.toggleChosenDatesVisibility(false);
+            this.tempSelection.isRangeConfirmed = true;
+            this.tempSelection.start = null;
+            this.tempSelection.startMonth = null;
+            this.tempSelection.startYear = null;
+            this.clearWaitState();
+            
+            // Деактивируем режим блокировки
+            const blockButton = this.getElement('blockButton');
+            if (blockButton) {
+                blockButton.classList.remove('is--add-service');
+            }
+            
+            // Дни диапазона окрашиваются цветом категории блокировки
+            this.redrawDayStates();
+            
+            console.log('[UnifiedCalendarManager] Диапазон дат успешно заблокирован');
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при блокировке диапазона дат:', error);
+        }
+    }
+
+    /**
+     * Категория и подпись блокировки из полей панели настроек
+     * @returns {Object} - {category, label}
+     */
+    getBlockInputValues() {
+        const categoryInput = this.getElement('blockCategoryInput');
+        const labelInput = this.getElement('blockLabelInput');
+        return {
+            category: categoryInput ? categoryInput.value : undefined,
+            label: labelInput ? labelInput.value : undefined
+        };
+    }
+
+    /**
+     * Подпись и цвет категории блокировки
+     * @param {string} category - Категория из BLOCK_CATEGORIES
+     * @returns {Object} - {label, color}
+     */
+    getBlockCategoryStyle(category) {
+        return this.blockCategoryStyles[category] || this.blockCategoryStyles[BLOCK_CATEGORIES.HOLD];
+    }
+
+    /**
+     * Проверка, показывается ли категория блокировки в сетке
+     * @param {string} category - Категория из BLOCK_CATEGORIES
+     * @returns {boolean}
+     */
+    isBlockCategoryVisible(category) {
+        return !this.visibleBlockCategories || this.visibleBlockCategories.has(category);
+    }
+
+    /**
+     * Отметка заблокированного дня по категории блокировки
+     * Скрытые фильтром категории остаются заблокированными, но получают класс is-block-hidden без цвета.
+     * @param {HTMLElement} dayWrapper - Обертка дня
+     * @param {Object|null} blockedItem - Запись блокировки {date, price, category, label?}
+     */
+    renderBlockedDayState(dayWrapper, blockedItem) {
+        this.clearBlockedDayState(dayWrapper);
+        if (!blockedItem) return;
+
+        const visible = this.isBlockCategoryVisible(blockedItem.category);
+        dayWrapper.classList.toggle('is-block-hidden', !visible);
+        if (visible) {
+            dayWrapper.classList.add(`is-blocked--${blockedItem.category}`);
+            dayWrapper.style.backgroundColor = this.getBlockCategoryStyle(blockedItem.category).color;
+        }
+    }
+
+    /**
+     * Снятие отметок категории блокировки с дня
+     * @param {HTMLElement} dayWrapper - Обертка дня
+     */
+    clearBlockedDayState(dayWrapper) {
+        const categoryClasses = Object.keys(this.blockCategoryStyles).map(category => `is-blocked--${category}`);
+        if (categoryClasses.some(className => dayWrapper.classList.contains(className))) {
+            dayWrapper.style.backgroundColor = '';
+        }
+        dayWrapper.classList.remove(...categoryClasses, 'is-block-hidden');
+    }
+
+    /**
+     * Фильтр категорий блокировок в сетке
+     * @param {Array<string>|null} categories - Показываемые категории; null - все
+     */
+    setBlockCategoryFilter(categories) {
+        if (categories !== null && !Array.isArray(categories)) {
+            console.error('[UnifiedCalendarManager] Некорректный фильтр категорий блокировок:', categories);
+            return;
+        }
+
+        const known = Object.keys(this.blockCategoryStyles);
+        const visible = categories ? categories.filter(category => known.includes(category)) : null;
+        this.visibleBlockCategories = visible && visible.length < known.length ? new Set(visible) : null;
+
+        this.renderBlockLegend();
+        this.redrawDayStates();
+    }
+
+    /**
+     * Переключение видимости одной категории блокировок
+     * @param {string} category - Категория из BLOCK_CATEGORIES
+     */
+    toggleBlockCategory(category) {
+        const visible = Object.keys(this.blockCategoryStyles).filter(item => this.isBlockCategoryVisible(item));
+        this.setBlockCategoryFilter(visible.includes(category)
+            ? visible.filter(item => item !== category)
+            : [...visible, category]);
+    }
+
+    /**
+     * Отрисовка легенды категорий блокировок
+     * Элементы легенды - кнопки, переключающие видимость категории в сетке.
+     */
+    renderBlockLegend() {
+        try {
+            const legend = this.getElement('blockLegend');
+            if (!legend) return;
+
+            legend.textContent = '';
+            Object.entries(this.blockCategoryStyles).forEach(([category, style]) => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = `calendar_legend-item is-blocked--${category}`;
+                item.setAttribute(this.attributes.blockCategory, category);
+                item.setAttribute('aria-pressed', String(this.isBlockCategoryVisible(category)));
+
+                const swatch = document.createElement('span');
+                swatch.className = 'calendar_legend-swatch';
+                swatch.style.backgroundColor = style.color;
+
+                const label = document.createElement('span');
+                label.className = 'calendar_legend-label';
+                label.textContent = style.label;
+
+                item.append(swatch, label);
+                item.addEventListener('click', () => this.toggleBlockCategory(category));
+                legend.appendChild(item);
+            });
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при отрисовке легенды блокировок:', error);
+        }
+    }
+
+    /**
+     * Проверка, активен ли режим открытия заблокированных дат
+     * @returns {boolean}
+     */
+    isUnblockMode() {
+        const unblockButton = this.getElement('unblockButton');
+        return Boolean(unblockButton && unblockButton.classList.contains('is--add-service'));
+    }
+
+    /**
+     * Снятие блокировки с дней в диапазоне (без сохранения и без сброса выбора)
+     * @param {string} start - Начало диапазона YYYY-MM-DD
+     * @param {string} end - Конец диапазона YYYY-MM-DD
+     * @returns {Array<string>} - Разблокированные даты YYYY-MM-DD
+     */
+    unblockDateRange(start, end) {
+        const startKey = normalizeDateKey(start);
+        const endKey = normalizeDateKey(end);
+        if (!startKey || !endKey) {
+            console.error(`[UnifiedCalendarManager] Некорректный диапазон для снятия блокировки: ${start} - ${end}`);
+            return [];
+        }
+
+        return this.model.unblockDates(startKey, endKey).map(({ date }) => date);
+    }
+
+    /**
+     * Открытие выбранного диапазона дат
+     * Снимает блокировку только с дней диапазона; остальные блокировки, скидки и цены сохраняются.
+     */
+    unblockSelectedRange() {
+        if (this.calendarData.dateRanges.length === 0) {
+            console.warn('[UnifiedCalendarManager] Нет выбранных диапазонов для открытия');
+            return;
+        }
+
+        try {
+            const lastRange = this.calendarData.dateRanges[this.calendarData.dateRanges.length - 1];
+            if (!lastRange || !lastRange.start || !lastRange.end) {
+                console.error('[UnifiedCalendarManager] Некорректный диапазон дат');
+                return;
+            }
+
+            const historyBefore = this.captureState();
+            const dates = this.unblockDateRange(lastRange.start.date, lastRange.end.date);
+
+            // Сохраняем блокировки и убираем открытый диапазон из выбранных
+            this.storage.saveVersioned('blockedDatesMap', this.calendarData.blockedDates);
+            this.calendarData.dateRanges.pop();
+            this.recordHistory('Открытие диапазона', historyBefore);
+            this.emit(CALENDAR_EVENTS.UNBLOCK, {
+                ranges: [this.describeRange(lastRange)],
+                dates
+            });
+
+            // Дни получают рассчитанную цену, отметки блокировки обновляются
+            this.redrawDayStates();
+            this.updateChosenDatesDisplay();
+            this.toggleSettingsVisibility(this.calendarData.dateRanges.length > 0);
+            this.toggleChosenDatesVisibility(this.calendarData.dateRanges.length > 0);
+
+            console.log(`[UnifiedCalendarManager] Открыто дат: ${dates.length}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при открытии диапазона дат:', error);
+        }
+    }
+
+    /**
+     * Сохранение данных месяца в хранилище
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     */
+    saveMonthData(monthKey) {
+        if (!monthKey) {
+            console.error('[UnifiedCalendarManager] Не указан ключ месяца для сохранения данных');
+            return;
+        }
+
+        try {
+            // Сохраняем базовые цены
+            this.storage.saveVersioned(`monthData-${monthKey}`, this.calendarData.basePrices[monthKey]);
+            
+            // Сохраняем заблокированные даты
+            this.storage.saveVersioned('blockedDatesMap', this.calendarData.blockedDates);
+            
+            console.log(`[UnifiedCalendarManager] Данные месяца ${monthKey} сохранены`);
+        } catch (error) {
+            console.error(`[UnifiedCalendarManager] Ошибка сохранения данных месяца ${monthKey}:`, error);
+        }
+    }
+
+    /**
+     * Генерация календаря для указанного месяца и года
+     * В многомесячном виде следующие сетки заполняются последующими месяцами.
+     * @param {string} dateString - Строка даты в формате "MM.YYYY"
+     */
+    generateCalendar(dateString) {
+        if (!dateString || !dateString.includes('.')) {
+            console.error(`[UnifiedCalendarManager] Некорректный формат даты: ${dateString}`);
+            return;
+        }
+
+        try {
+            const [month, year] = dateString.split('.').map(Number);
+            if (isNaN(month) || isNaN(year) || month < 1 || month > 12 || year < 1900 || year > 2100) {
+                console.error(`[UnifiedCalendarManager] Недопустимые значения месяца или года: месяц=${month}, год=${year}`);
+                return;
+            }
+
+            // Сбрасываем состояние блокировки
+            const selectedElements_blocked = this.getDayWrappers('.is-blocked.is-blocked-active');
+            const button_block = this.getElement('blockButton');
+            if (button_block) button_block.classList.remove('is--add-service');
+            const button_unblock = this.getElement('unblockButton');
+            if (button_unblock) button_unblock.classList.remove('is--add-service');
+
+            selectedElements_blocked.forEach(element => {
+                element.classList.remove('is-blocked-active');
+            });
+
+            const firstMonthKey = `${year}-${String(month).padStart(2, '0')}`;
+            this.getMonthGrids().forEach((grid, index) => {
+                const [gridYear, gridMonth] = this.shiftMonthKey(firstMonthKey, index).split('-').map(Number);
+                this.fillMonthGrid(grid, gridYear, gridMonth);
+            });
+
+            this.updateAllDaysDisplay();
+            console.log(`[UnifiedCalendarManager] Календарь сгенерирован для ${month}.${year}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при генерации календаря:', error);
+        }
+    }
+
+    /**
+     * Заполнение сетки одного месяца (42 ячейки) днями и ключами дат
+     * @param {Element} grid - Сетка месяца (см. getMonthGrids)
+     * @param {number} year - Год
+     * @param {number} month - Месяц (1-12)
+     */
+    fillMonthGrid(grid, year, month) {
+        const firstDay = new Date(year, month - 1, 1);
+        const lastDay = new Date(year, month, 0);
+        const daysInMonth = lastDay.getDate();
+
+        const calendarArray = [];
+        let week = Array(7).fill('');
+        // Число пустых ячеек перед первым днем зависит от первого дня недели
+        const adjustedFirstDay = (firstDay.getDay() - this.getWeekStart() + 7) % 7;
+
+        let dayCounter = 1;
+        for (let i = 0; i < adjustedFirstDay; i++) {
+            week[i] = '';
+        }
+
+        for (let col = adjustedFirstDay; col < 7; col++) {
+            week[col] = dayCounter++;
+        }
+        calendarArray.push(week);
+
+        while (dayCounter <= daysInMonth) {
+            week = Array(7).fill('');
+            for (let col = 0; col < 7 && dayCounter <= daysInMonth; col++) {
+                week[col] = dayCounter++;
+            }
+            calendarArray.push(week);
+        }
+
+        // Заголовок месяца внутри сетки (для первой сетки заголовки обновляет updateMonthTitle)
+        const monthTitle = this.formatMonthTitle(year, month);
+        grid.querySelectorAll(this.selectors.viewTitle).forEach(element => {
+            element.textContent = monthTitle;
+        });
+
+        let flatDays = calendarArray.flat();
+
+        for (let i = 0; i < 42; i++) {
+            const cell = grid.querySelector(`[${this.attributes.day}='${i}']`);
+            const dayWrapper = cell ? cell.closest(this.selectors.dayWrapper) : null;
+            if (!cell || !dayWrapper) continue;
+
+            try {
+                const day = flatDays[i];
+                const servicePrice = this.getElement('servicePrice', dayWrapper);
+                const priceCurrency = this.getElement('priceCurrency', dayWrapper);
+
+                if (day) {
+                    cell.textContent = day;
+                    dayWrapper.classList.remove('not_exist');
+                    dayWrapper.setAttribute(this.attributes.dateKey, this.formatDate(day, month, year));
+                    if (servicePrice) {
+                        servicePrice.style.display = '';
+                    }
+                    if (priceCurrency) {
+                        priceCurrency.style.display = '';
+                    }
+                } else {
+                    cell.textContent = '';
+                    dayWrapper.classList.add('not_exist');
+                    dayWrapper.removeAttribute(this.attributes.dateKey);
+                    dayWrapper.classList.remove('is-blocked', 'is-blocked-active');
+                    this.clearBlockedDayState(dayWrapper);
+                    this.renderDayNote(dayWrapper, '');
+                    if (servicePrice) {
+                        servicePrice.style.display = 'none';
+                    }
+                    if (priceCurrency) {
+                        priceCurrency.style.display = 'none';
+                    }
+                }
+            } catch (error) {
+                console.error(`[UnifiedCalendarManager] Ошибка при генерации ячейки ${i}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Обновление календаря для текущего месяца
+     */
+    updateCalendar() {
+        try {
+            console.log('[UnifiedCalendarManager] Обновление календаря...');
+            
+            // Получаем текущий год и месяц
+            const [year, month] = this.currentMonthKey.split('-').map(Number);
+            
+            // Генерируем календарь для отображаемого месяца
+            this.generateCalendar(`${month}.${year}`);
+            
+            // Обновляем цены
+            this.updatePrices();
+
+            // Цены и отметки блокировок отображаемого месяца
+            this.loadMonthPrices();
+            
+            // Заголовок месяца в локали календаря
+            const monthTitle = this.formatMonthTitle(year, month);
+            
+            // Обновляем заголовок месяца в элементе с классом calendar_month
+            const calendarMonthElement = this.getElement('monthContainer');
+            if (calendarMonthElement) {
+                calendarMonthElement.textContent = monthTitle;
+                console.log(`[UnifiedCalendarManager] Заголовок месяца обновлен: ${monthTitle}`);
+            } else {
+                console.warn('[UnifiedCalendarManager] Элемент с классом calendar_month не найден');
+            }
+            
+            // Обновляем заголовки с атрибутами calendar-month и current_month_year
+            this.updateMonthTitle();
+            
+            console.log(`[UnifiedCalendarManager] Календарь обновлен для ${monthTitle}`);
+            
+            // Обновляем отображение всех дней
+            this.updateAllDaysDisplay();
+            
+            // Восстанавливаем отметки выбора, начатого в другом месяце
+            this.refreshSelectionState();
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при обновлении календаря:', error);
+        }
+    }
+
+    /**
+     * Загрузка цен для текущего месяца
+     */
+    loadMonthPrices() {
+        const monthKey = this.currentMonthKey;
+        if (!monthKey) {
+            console.error('[UnifiedCalendarManager] Текущий ключ месяца не определен');
+            return;
+        }
+
+        try {
+            const [year, month] = monthKey.split('-');
+            if (!year || !month) {
+                console.error(`[UnifiedCalendarManager] Неверный формат ключа месяца: ${monthKey}`);
+                return;
+            }
+
+            // Если нет данных для текущего месяца, загружаем их; остальные видимые месяцы - из хранилища
+            if (!this.calendarData.basePrices[monthKey]) {
+                this.loadMonthData(monthKey);
+            }
+            this.loadVisibleMonths();
+
+            const updatedCells = [];
+
+            this.getDayWrappers(':not(.not_exist)').forEach(dayWrapper => {
+                const servicePriceElement = this.getElement('servicePrice', dayWrapper);
+                const date = dayWrapper.getAttribute(this.attributes.dateKey);
+
+                if (!date || !servicePriceElement) return;
+
+                try {
+                    const dateString = date;
+                    const cellMonthKey = date.slice(0, 7);
+
+                    // Проверяем статусы
+                    const isBlocked = this.isDateBlocked(dateString, cellMonthKey);
+
+                    if (isBlocked) {
+                        // Если день заблокирован, устанавливаем классы и цену 0
+                        dayWrapper.classList.add('is-blocked');
+                        dayWrapper.classList.add('is-blocked-active');
+                        dayWrapper.classList.remove('is-lead-time');
+                        this.renderBlockedDayState(dayWrapper, this.model.getBlockedItem(dateString, cellMonthKey));
+                        this.renderDayPrice(dayWrapper, this.getBlockedDatePrice(dateString, cellMonthKey));
+                    } else {
+                        // Отметки блокировки могли остаться от другого месяца
+                        dayWrapper.classList.remove('is-blocked', 'is-blocked-active');
+                        this.clearBlockedDayState(dayWrapper);
+
+                        // Иначе используем цену, рассчитанную моделью по слоям
+                        const layers = this.model.getPriceLayers(date);
+                        this.renderDayPrice(dayWrapper, layers.price);
+
+                        // Отмечаем дни со скидкой или ручной ценой
+                        dayWrapper.classList.toggle('is-active', layers.discount !== null || layers.override !== null);
+
+                        // Отмечаем дни, цена которых зависит от срока до даты (ручная цена его перекрывает)
+                        dayWrapper.classList.toggle('is-lead-time', layers.leadTimeRule !== null && layers.override === null);
+                    }
+
+                    // Заметка показывается и для заблокированных дней
+                    this.renderDayNote(dayWrapper, this.model.getNote(dateString));
+
+                    // Добавляем ячейку в список обновленных
+                    updatedCells.push(date);
+                } catch (error) {
+                    console.error('[UnifiedCalendarManager] Ошибка при обработке дня:', error);
+                }
+            });
+
+            // Цены могли измениться - пересчитываем стоимость выбранного диапазона и годовой обзор
+            this.renderQuote();
+            this.renderYearView();
+
+            console.log(`[UnifiedCalendarManager] Загружены цены для месяца ${monthKey}. Обновлено ячеек: ${updatedCells.length}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при загрузке цен для месяца:', error);
+        }
+    }
+
+    /**
+     * Загрузка сохраненных данных видимых месяцев после текущего
+     * Записи не создаются: месяц без данных получает цены по слоям по умолчанию.
+     */
+    loadVisibleMonths() {
+        this.getVisibleMonthKeys().slice(1).forEach(monthKey => {
+            if (this.calendarData.basePrices[monthKey]) return;
+
+            const monthData = this.loadMonthRecord(monthKey);
+            if (monthData) {
+                this.calendarData.basePrices[monthKey] = monthData;
+            }
+        });
+    }
+
+    /**
+     * Форматирование диапазона дат для отображения
+     * @param {Object} range - Объект диапазона дат {start, end}
+     * @returns {string} - Форматированная строка диапазона
+     */
+    formatDateRange(range) {
+        if (!range || !range.start || !range.end) {
+            console.error('[UnifiedCalendarManager] Передан неверный диапазон дат в formatDateRange');
+            return '';
+        }
+
+        try {
+            const formatter = this.getDateFormatter({ day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+            const startDate = this.dateFromKey(range.start.date);
+            const endDate = this.dateFromKey(range.end.date);
+
+            // formatRange сокращает общий месяц и год ("29–31 октября 2026 г.", "29.–31. Oktober 2026")
+            return range.start.date === range.end.date
+                ? formatter.format(startDate)
+                : formatter.formatRange(startDate, endDate);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка форматирования диапазона дат:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Обновление отображения выбранных дат
+     */
+    updateChosenDates() {
+        try {
+            this.renderQuote();
+
+            const chosenDatesElement = this.getElement('chosenDates');
+            if (!chosenDatesElement) return;
+            
+            if (this.calendarData.dateRanges.length === 0) {
+                chosenDatesElement.textContent = '';
+                return;
+            }
+            
+            const dateRanges = this.calendarData.dateRanges.map(range => this.formatDateRange(range));
+            
+            chosenDatesElement.textContent = dateRanges.join(', ');
+            
+            console.log(`[UnifiedCalendarManager] Обновлено отображение выбранных дат: ${dateRanges.join(', ')}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при обновлении отображения выбранных дат:', error);
+        }
+    }
+
+    /**
+     * Переключение видимости панели настроек
+     * @param {boolean} show - Показать или скрыть панель
+     */
+    toggleSettingsVisibility(show) {
+        try {
+            const settingsPanel = this.getElement('settingsPanel');
+            if (!settingsPanel) return;
+            
+            if (show) {
+                settingsPanel.style.display = 'block';
+            } else {
+                settingsPanel.style.display = 'none';
+            }
+            
+            console.log(`[UnifiedCalendarManager] Видимость панели настроек: ${show}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при переключении видимости панели настроек:', error);
+        }
+    }
+
+    /**
+     * Очистка состояния ожидания выбора диапазона
+     */
+    clearWaitState() {
+        this.getDayWrappers('.is-wait').forEach(day => {
+            day.classList.remove('is-wait');
+        });
+    }
+
+    /**
+     * Отмена последнего выбранного диапазона
+     */
+    cancelLastRange() {
+        try {
+            if (this.calendarData.dateRanges.length === 0) {
+                console.warn('[UnifiedCalendarManager] Нет выбранных диапазонов для отмены');
+                return;
+            }
+            
+            // Получаем последний выбранный диапазон
+            const historyBefore = this.captureState();
+            const lastRange = this.calendarData.dateRanges.pop();
+            if (!lastRange || !lastRange.start || !lastRange.end) {
+                console.error('[UnifiedCalendarManager] Некорректный диапазон дат для отмены');
+                return;
+            }
+            this.recordHistory('Отмена диапазона', historyBefore);
+            this.emit(CALENDAR_EVENTS.RANGE_CANCEL, {
+                range: this.describeRange(lastRange),
+                ranges: this.calendarData.dateRanges.map(range => this.describeRange(range))
+            });
+            
+            console.log(`[UnifiedCalendarManager] Отмена диапазона: ${lastRange.start.date} - ${lastRange.end.date}`);
+            
+            // Снимаем выделение с видимых дней диапазона
+            this.model.forEachDateInRange(lastRange.start.date, lastRange.end.date, dateKey => {
+                const dayWrapper = this.getDayWrapperByDate(dateKey);
+                if (dayWrapper) {
+                    dayWrapper.classList.remove('is-selected');
+                    dayWrapper.classList.remove('is-wait');
+                    dayWrapper.classList.remove('is-active');
+                }
+            });
+            
+            // Обновляем отображение выбранных дат
+            this.updateChosenDates();
+            
+            // Если больше нет выбранных диапазонов, скрываем панель настроек
+            if (this.calendarData.dateRanges.length === 0) {
+                this.toggleSettingsVisibility(false);
+                
+                // Деактивируем кнопки
+                const button_open = this.getElement('openButton');
+                if (button_open) {
+                    button_open.classList.remove('is--add-service');
+                }
+                
+                const button_block = this.getElement('blockButton');
+                if (button_block) {
+                    button_block.classList.remove('is--add-service');
+                }
+
+                const button_unblock = this.getElement('unblockButton');
+                if (button_unblock) {
+                    button_unblock.classList.remove('is--add-service');
+                }
+            }
+            
+            // Сбрасываем состояние выбора
+            this.tempSelection.isRangeConfirmed = true;
+            this.tempSelection.start = null;
+            this.tempSelection.startMonth = null;
+            this.tempSelection.startYear = null;
+            
+            console.log('[UnifiedCalendarManager] Диапазон успешно отменен');
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при отмене диапазона:', error);
+        }
+    }
+
+    /**
+     * Полная очистка всех выбранных дат и настроек
+     */
+    clearAllDates() {
+        try {
+            // Получаем текущую базовую цену из поля ввода
+            const basePrice = this.getBasePrice();
+
+            // Очистка затрагивает все сохраненные месяцы, поэтому в снимок попадают все
+            this.calendarData.basePrices = this.loadAllMonthData();
+            const historyBefore = this.captureState();
+
+            // Очищаем состояние
+            this.calendarData.dateRanges = [];
+            this.calendarData.excludedDates = new Set();
+            this.calendarData.blockedDates = {};
+
+            this.tempSelection.start = null;
+            this.tempSelection.startMonth = null;
+            this.tempSelection.startYear = null;
+            this.tempSelection.isRangeConfirmed = true;
+
+            this.clearWaitState();
+
+            // Обновляем глобальные настройки с текущей ценой
+            this.settings.defaultPrice = basePrice;
+            this.storage.saveVersioned('calendarGlobalSettings', this.settings);
+
+            // Обновляем цены для всех дней в текущем месяце, остальные месяцы удаляются
+            this.calendarData.basePrices = {};
+            const monthKey = this.currentMonthKey;
+            if (monthKey) {
+                // Создаем пустую запись без собственной цены: месяц следует базовой цене
+                this.model.ensureBasePrices(monthKey);
+                
+                // Сохраняем обновленные данные
+                this.saveMonthData(monthKey);
+            }
+
+            // Обновляем отображение цен в календаре
+            this.getDayWrappers(':not(.not_exist)').forEach(day => {
+                // Очищаем классы
+                day.classList.remove('is-selected');
+                day.classList.remove('is-wait');
+                day.classList.remove('is-active');
+                day.classList.remove('is-blocked');
+                day.classList.remove('is-blocked-active');
+                this.clearBlockedDayState(day);
+                day.classList.remove('is-lead-time');
+                this.renderDayNote(day, '');
+
+                // Устанавливаем базовую цену
+                this.renderDayPrice(day, basePrice);
+            });
+
+            // Обновляем состояние кнопок
+            const button_open = this.getElement('openButton');
+            if (button_open) {
+                button_open.classList.remove('is--add-service');
+            }
+
+            const button_block = this.getElement('blockButton');
+            if (button_block) {
+                button_block.classList.remove('is--add-service');
+            }
+
+            const button_unblock = this.getElement('unblockButton');
+            if (button_unblock) {
+                button_unblock.classList.remove('is--add-service');
+            }
+
+            // Очищаем выбранные даты
+            const chosenDatesElement = this.getElement('chosenDates');
+            if (chosenDatesElement) {
+                chosenDatesElement.textContent = '';
+            }
+
+            this.renderQuote();
+
+            this.toggleSettingsVisibility(false);
+
+            // Очищаем хранилище
+            this.storage.removeByPattern(/^monthData-/);
+            this.storage.remove('blockedDatesMap');
+            this.recordHistory('Очистка всех дат', historyBefore);
+            this.emit(CALENDAR_EVENTS.CLEAR, { defaultPrice: basePrice });
+
+            console.log(`[UnifiedCalendarManager] Все даты очищены. Установлена базовая цена: ${basePrice}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при очистке всех дат:', error);
+        }
+    }
+
+    /**
+     * Загрузка сохраненной записи месяца с миграцией до текущей версии схемы
+     * Старым записям нужны настройки: выходные со скидкой переносятся в цены по дням недели.
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * @returns {Object|null} - Запись месяца или null, если она не сохранялась
+     */
+    loadStoredMonthData(monthKey) {
+        return this.storage.loadVersioned(`monthData-${monthKey}`, 'monthData', null, { settings: this.settings });
+    }
+
+    /**
+     * Запись месяца из хранилища, а если ее нет - из данных страницы
+     * Общий загрузчик для loadMonthData и loadVisibleMonths.
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * @returns {Object|null} - Запись месяца или null
+     */
+    loadMonthRecord(monthKey) {
+        const pageMonthData = this.pageSettings.data && this.pageSettings.data[monthKey];
+        return this.loadStoredMonthData(monthKey) ||
+            (pageMonthData ? SchemaMigrator.migrate('monthData', pageMonthData, { settings: this.settings }) : null);
+    }
+
+    /**
+     * Загрузка данных всех сохраненных месяцев
+     * Данные, уже загруженные в память, имеют приоритет над сохраненными.
+     * @returns {Object} - Данные по месяцам {yearMonth: {prices: [{date, price}], defaultCost}}
+     */
+    loadAllMonthData() {
+        const basePrices = {};
+        this.storage.keys(/^monthData-/).forEach(key => {
+            const monthData = this.loadStoredMonthData(key.replace(/^monthData-/, ''));
+            if (monthData) {
+                basePrices[key.replace(/^monthData-/, '')] = monthData;
+            }
+        });
+
+        return Object.assign(basePrices, this.calendarData.basePrices);
+    }
+
+    /**
+     * Экспорт заблокированных дат всех месяцев в формат iCalendar (.ics)
+     * Последовательные заблокированные дни объединяются в одно событие на целый день.
+     * @param {Object} [options] - Параметры экспорта
+     * @param {boolean} [options.includePrices] - Добавить дни с индивидуальной ценой как свободные события
+     * @param {boolean} [options.includeLabels] - Подписывать события категорией и подписью блокировки
+     *     (подписи могут содержать имена гостей, поэтому по умолчанию в ленту для площадок не попадают)
+     * @param {string} [options.name] - Название календаря
+     * @returns {string} - Текст в формате iCalendar
+     */
+    exportToICalendar(options = {}) {
+        try {
+            // Без подписей все события нейтральны; с подписями соседние дни объединяются,
+            // только если совпадают категория и подпись блокировки
+            const blockedDays = [];
+            Object.values(this.calendarData.blockedDates).forEach(items => {
+                items.forEach(item => {
+                    if (!options.includeLabels) {
+                        blockedDays.push({ date: item.date, value: 'Недоступно' });
+                        return;
+                    }
+                    const categoryLabel = this.getBlockCategoryStyle(item.category).label;
+                    blockedDays.push({ date: item.date, value: item.label ? `${categoryLabel}: ${item.label}` : categoryLabel });
+                });
+            });
+
+            // ID объявления в UID не дает событиям разных объявлений совпасть в одном календаре подписчика;
+            // для календаря без listingId UID не меняются, чтобы подписчики не получили дубликаты
+            const uidScope = this.listingId ? `${encodeURIComponent(this.listingId)}-` : '';
+            const events = ICalendar.groupContiguous(blockedDays).map(range => ({
+                uid: `blocked-${uidScope}${range.start}-${range.end}@calendar-script`,
+                start: range.start,
+                end: range.end,
+                summary: range.value
+            }));
+
+            if (options.includePrices) {
+                const blockedSet = new Set(blockedDays.map(day => day.date));
+                const pricedDays = [];
+
+                Object.values(this.loadAllMonthData()).forEach(monthData => {
+                    // Дни со скидкой или ручной ценой
+                    const dates = new Set([...(monthData.prices || []), ...(monthData.discounts || [])].map(item => item.date));
+                    dates.forEach(date => {
+                        if (!blockedSet.has(date)) {
+                            pricedDays.push({ date, value: this.model.getPriceLayers(date, monthData).price });
+                        }
+                    });
+                });
+                pricedDays.sort((a, b) => a.date.localeCompare(b.date));
+
+                ICalendar.groupContiguous(pricedDays).forEach(range => {
+                    events.push({
+                        uid: `price-${uidScope}${range.start}-${range.end}@calendar-script`,
+                        start: range.start,
+                        end: range.end,
+                        summary: `Цена: ${range.value}`,
+                        transparent: true
+                    });
+                });
+            }
+
+            console.log(`[UnifiedCalendarManager] Экспортировано событий iCalendar: ${events.length}`);
+            return ICalendar.build(events, { name: options.name });
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при экспорте в iCalendar:', error);
+            return '';
         }
     }
 
     /**
-     * Получение временной метки из строки даты
-     * @param {string} dateString - Строка даты в формате DD.MM.YYYY
-     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
-     * @returns {number} - Временная метка
+     * Скачивание заблокированных дат в виде файла .ics
+     * @param {string} [filename] - Имя файла
+     * @param {Object} [options] - Параметры экспорта (см. exportToICalendar)
      */
-    getTimestampFromDateString(dateString, monthKey) {
+    downloadICalendar(filename = 'calendar.ics', options = {}) {
         try {
-            if (!dateString || !dateString.includes('.')) return 0;
-            
-            const [day, month, year] = dateString.split('.').map(Number);
-            if (isNaN(day) || isNaN(month) || isNaN(year)) return 0;
-            
-            return new Date(year, month - 1, day).getTime();
+            const content = this.exportToICalendar(options);
+            const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => URL.revokeObjectURL(url), 0);
         } catch (error) {
-            console.error(`[UnifiedCalendarManager] Ошибка получения временной метки: ${error}`);
-            return 0;
+            console.error('[UnifiedCalendarManager] Ошибка при скачивании файла iCalendar:', error);
         }
     }
 
     /**
-     * Загрузка данных месяца из localStorage
-     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * Импорт событий из файла iCalendar (.ics) с блокировкой их дат
+     * Повторный импорт из того же источника заменяет предыдущий импорт.
+     * @param {string} icsText - Содержимое файла .ics
+     * @param {string} source - Источник импорта (например, "airbnb" или "booking")
+     * @returns {number} - Количество импортированных событий
      */
-    loadMonthData(monthKey) {
+    importICalendar(icsText, source) {
         try {
-            console.log(`[UnifiedCalendarManager] Загрузка данных месяца ${monthKey}...`);
-            
-            // Проверяем, существует ли объект window.calendarSettings
-            if (!window.calendarSettings) {
-                console.warn('[UnifiedCalendarManager] Объект window.calendarSettings не найден, создаем его');
-                window.calendarSettings = {
-                    load: {
-                        monthData: true
-                    },
-                    data: {}
-                };
-            }
-            
-            // Проверяем, существует ли объект window.calendarSettings.load
-            if (!window.calendarSettings.load) {
-                console.warn('[UnifiedCalendarManager] Объект window.calendarSettings.load не найден, создаем его');
-                window.calendarSettings.load = {
-                    monthData: true
-                };
+            if (!source) {
+                console.error('[UnifiedCalendarManager] Не указан источник импорта iCalendar');
+                return 0;
             }
-            
-            // Проверяем, нужно ли загружать данные месяца
-            if (window.calendarSettings.load.monthData) {
-                console.log(`[UnifiedCalendarManager] Загрузка данных месяца ${monthKey} разрешена`);
-                
-                // Проверяем, существует ли объект window.calendarSettings.data
-                if (!window.calendarSettings.data) {
-                    console.warn('[UnifiedCalendarManager] Объект window.calendarSettings.data не найден, создаем его');
-                    window.calendarSettings.data = {};
-                }
-                
-                // Проверяем, существуют ли данные для указанного месяца
-                if (window.calendarSettings.data[monthKey]) {
-                    console.log(`[UnifiedCalendarManager] Данные для месяца ${monthKey} найдены`);
-                    
-                    // Загружаем данные месяца
-                    this.calendarData.activeDates = window.calendarSettings.data[monthKey].activeDates || {};
-                    this.calendarData.prices = window.calendarSettings.data[monthKey].prices || {};
-                    
-                    console.log(`[UnifiedCalendarManager] Данные месяца ${monthKey} загружены`);
-                } else {
-                    console.log(`[UnifiedCalendarManager] Данные для месяца ${monthKey} не найдены, используем пустые данные`);
-                    
-                    // Используем пустые данные
-                    this.calendarData.activeDates = {};
-                    this.calendarData.prices = {};
-                    
-                    // Создаем данные для месяца
-                    window.calendarSettings.data[monthKey] = {
-                        activeDates: {},
-                        prices: {}
-                    };
-                    
-                    // Обеспечиваем базовые цены для месяца
-                    this.ensureBasePricesForMonth(monthKey);
+
+            const events = ICalendar.parse(icsText, this.settings.timezone || null);
+            const historyBefore = this.captureState();
+
+            // Удаляем даты, заблокированные предыдущим импортом из этого источника
+            const affectedMonthKeys = new Set();
+            Object.keys(this.calendarData.blockedDates).forEach(monthKey => {
+                const items = this.calendarData.blockedDates[monthKey];
+                const remaining = items.filter(item => item.source !== source);
+                if (remaining.length !== items.length) {
+                    if (remaining.length) {
+                        this.calendarData.blockedDates[monthKey] = remaining;
+                    } else {
+                        delete this.calendarData.blockedDates[monthKey];
+                    }
+                    affectedMonthKeys.add(monthKey);
                 }
-            } else {
-                console.log(`[UnifiedCalendarManager] Загрузка данных месяца ${monthKey} отключена`);
-                
-                // Используем пустые данные
-                this.calendarData.activeDates = {};
-                this.calendarData.prices = {};
-            }
+            });
+
+            // Блокируем даты событий тем же путем, что и выбранный диапазон
+            events.forEach(event => {
+                const monthKeys = this.blockDateRange(event.start, event.end, {
+                    source,
+                    category: BLOCK_CATEGORIES.BOOKED,
+                    label: event.summary
+                });
+                monthKeys.forEach(monthKey => affectedMonthKeys.add(monthKey));
+            });
+
+            this.storage.saveVersioned('blockedDatesMap', this.calendarData.blockedDates);
+            this.recordHistory(`Импорт iCalendar (${source})`, historyBefore);
+            this.redrawDayStates();
+            this.emit(CALENDAR_EVENTS.BLOCK, {
+                ranges: events.map(event => ({ start: event.start, end: event.end })),
+                price: this.getBasePrice(),
+                source,
+                // Та же форма, что и у блокировки диапазона; подписи отдельных событий хранятся в label дней
+                category: BLOCK_CATEGORIES.BOOKED,
+                label: source
+            });
+
+            console.log(`[UnifiedCalendarManager] Импортировано событий iCalendar из ${source}: ${events.length}, затронуто месяцев: ${affectedMonthKeys.size}`);
+            return events.length;
         } catch (error) {
-            console.error(`[UnifiedCalendarManager] Ошибка при загрузке данных месяца ${monthKey}:`, error);
-            
-            // Используем пустые данные в случае ошибки
-            this.calendarData.activeDates = {};
-            this.calendarData.prices = {};
+            console.error('[UnifiedCalendarManager] Ошибка при импорте iCalendar:', error);
+            return 0;
         }
     }
 
     /**
-     * Применение скидки к выходным дням
-     * @param {string|number} discountPercent - Процент скидки
+     * Добавление правила ценообразования
+     * @param {Object} rule - Правило {name, start, end, priority, type, value}
+     * @returns {Object|null} - Добавленное правило или null, если оно некорректно
      */
-    applyWeekendDiscount(discountPercent) {
+    addPricingRule(rule) {
         try {
-            if (!discountPercent) {
-                console.warn('[UnifiedCalendarManager] Не указан процент скидки для выходных дней');
-                return;
-            }
-            
-            const monthKey = this.currentMonthKey;
-            if (!monthKey) {
-                console.error('[UnifiedCalendarManager] Не определен текущий месяц');
-                return;
-            }
-            
-            const [year, month] = monthKey.split('-');
-            const basePrice = this.getBasePrice();
-            const discountedPrice = this.applyDiscount(basePrice, discountPercent);
-            
-            console.log(`[UnifiedCalendarManager] Применение скидки ${discountPercent}% к выходным дням. Новая цена: ${discountedPrice}`);
-            
-            // Получаем количество дней в месяце
-            const daysInMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
-            
-            // Проходим по всем дням месяца
-            for (let day = 1; day <= daysInMonth; day++) {
-                // Создаем объект даты
-                const date = new Date(parseInt(year), parseInt(month) - 1, day);
-                const dayOfWeek = date.getDay(); // 0 - воскресенье, 6 - суббота
-                
-                // Проверяем, является ли день выходным (суббота или воскресенье)
-                if (dayOfWeek === 0 || dayOfWeek === 6) {
-                    const timestamp = date.getTime();
-                    const dateString = this.formatDate(day, month, year);
-                    
-                    // Проверяем, не заблокирован ли день
-                    if (this.isDateBlocked(dateString, monthKey)) {
-                        continue;
-                    }
-                    
-                    // Сохраняем скидку для этой даты
-                    this.calendarData.dateDiscounts[timestamp] = discountedPrice;
-                    
-                    // Обновляем базовые цены в хранилище
-                    if (!this.calendarData.basePrices[monthKey]) {
-                        this.calendarData.basePrices[monthKey] = {
-                            prices: [],
-                            defaultCost: basePrice
-                        };
-                    }
-                    
-                    const prices = this.calendarData.basePrices[monthKey].prices;
-                    const priceIndex = prices.findIndex(item => item.date === dateString);
-                    
-                    if (priceIndex !== -1) {
-                        prices[priceIndex].price = discountedPrice;
-                    } else {
-                        prices.push({ date: dateString, price: discountedPrice });
-                    }
-                    
-                    // Обновляем UI для текущего месяца
-                    document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(dayWrapper => {
-                        const dayEl = dayWrapper.querySelector('[day]');
-                        if (dayEl && parseInt(dayEl.textContent.trim()) === day) {
-                            // Добавляем класс is-active для обозначения скидки
-                            dayWrapper.classList.add('is-active');
-                            
-                            // Обновляем отображаемую цену
-                            const servicePriceElement = dayWrapper.querySelector('[service-price]');
-                            if (servicePriceElement) {
-                                servicePriceElement.textContent = discountedPrice;
-                            }
-                        }
-                    });
-                }
+            const normalizedRule = this.model.normalizePricingRule(rule);
+            if (!normalizedRule) return null;
+
+            const historyBefore = this.captureState();
+            this.settings.pricingRules = [...(this.settings.pricingRules || []), normalizedRule];
+            this.commitSettingsChange(`Правило ценообразования: ${normalizedRule.name}`, historyBefore);
+
+            console.log('[UnifiedCalendarManager] Правило ценообразования добавлено:', normalizedRule);
+            return normalizedRule;
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при добавлении правила ценообразования:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Удаление правила ценообразования
+     * @param {string} ruleId - ID правила
+     * @returns {boolean} - true, если правило было удалено
+     */
+    removePricingRule(ruleId) {
+        try {
+            const rules = this.settings.pricingRules || [];
+            const rule = rules.find(item => item.id === ruleId);
+            if (!rule) {
+                console.warn(`[UnifiedCalendarManager] Правило ценообразования ${ruleId} не найдено`);
+                return false;
             }
-            
-            // Сохраняем данные месяца
-            this.saveMonthData(monthKey);
-            
-            console.log('[UnifiedCalendarManager] Скидка для выходных дней успешно применена');
+
+            const historyBefore = this.captureState();
+            this.settings.pricingRules = rules.filter(item => item.id !== ruleId);
+            this.commitSettingsChange(`Удаление правила ценообразования: ${rule.name}`, historyBefore);
+
+            console.log(`[UnifiedCalendarManager] Правило ценообразования ${rule.name} удалено`);
+            return true;
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при применении скидки к выходным дням:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при удалении правила ценообразования:', error);
+            return false;
         }
     }
 
     /**
-     * Сброс скидок для выходных дней
+     * Сохранение измененных глобальных настроек (правил, цен по дням недели) и обновление цен
+     * @param {string} label - Описание изменения для истории
+     * @param {Object} historyBefore - Снимок состояния до изменения
      */
-    resetWeekendDiscounts() {
-        const monthKey = this.currentMonthKey;
-        if (!monthKey) return;
+    commitSettingsChange(label, historyBefore) {
+        this.pageSettings.settings = { ...this.settings };
+        this.storage.saveVersioned('calendarGlobalSettings', this.settings);
+        this.recordHistory(label, historyBefore);
+
+        this.renderPricingRules();
+        this.renderWeekdaySettings();
+        this.renderCurrencySettings();
+        this.renderWeekdayHeaders();
+        this.renderTimezoneSettings();
+        this.loadMonthPrices();
+        this.updateAllDaysDisplay();
+        this.emit(CALENDAR_EVENTS.SETTINGS_SAVE, { settings: { ...this.settings } });
+    }
+
+    /**
+     * Текстовое описание корректировки цены правила
+     * @param {Object} rule - Правило ценообразования
+     * @returns {string}
+     */
+    describePricingRule(rule) {
+        const sign = rule.value > 0 ? '+' : '';
+        switch (rule.type) {
+            case PRICING_RULE_TYPES.PERCENT:
+                return `${sign}${rule.value}%`;
+            case PRICING_RULE_TYPES.AMOUNT:
+                return `${sign}${this.formatPrice(rule.value)}`;
+            default:
+                return this.formatPrice(rule.value);
+        }
+    }
+
+    /**
+     * Форматирование даты правила ценообразования в локали календаря
+     * @param {string} value - Дата "YYYY-MM-DD" или ежегодная "MM-DD"
+     * @returns {string}
+     */
+    formatRuleDate(value) {
+        // Для ежегодной даты берется високосный год, чтобы 29 февраля было допустимым
+        return value.length === 5
+            ? this.formatDisplayDate(`2000-${value}`, { day: 'numeric', month: 'long' })
+            : this.formatDisplayDate(value);
+    }
 
-        const [year, month] = monthKey.split('-');
-        const basePrice = this.getBasePrice();
-        const daysInMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
+    /**
+     * Отрисовка списка правил ценообразования в панели настроек
+     */
+    renderPricingRules() {
+        try {
+            const list = this.getElement('pricingRulesList');
+            if (!list) return;
 
-        for (let day = 1; day <= daysInMonth; day++) {
-            const date = new Date(parseInt(year), parseInt(month) - 1, day);
-            const isWeekend = (date.getDay() === 0 || date.getDay() === 6); // воскресенье или суббота
+            list.textContent = '';
 
-            if (isWeekend) {
-                const dateString = this.formatDate(day, month, year);
-                const timestamp = date.getTime();
+            const rules = [...(this.settings.pricingRules || [])].sort((a, b) => b.priority - a.priority);
+            rules.forEach(rule => {
+                const item = document.createElement('div');
+                item.className = 'calendar_rule';
 
-                // Пропускаем заблокированные дни
-                if (this.isDateBlocked(dateString, monthKey)) continue;
+                const name = document.createElement('div');
+                name.className = 'calendar_rule-name';
+                name.textContent = rule.name;
 
-                // Удаляем скидку
-                delete this.calendarData.dateDiscounts[timestamp];
+                const details = document.createElement('div');
+                details.className = 'calendar_rule-details';
+                details.textContent = `${this.formatRuleDate(rule.start)} - ${this.formatRuleDate(rule.end)}: ${this.describePricingRule(rule)} (приоритет ${rule.priority})`;
 
-                // Обновляем базовые цены
-                if (this.calendarData.basePrices[monthKey]) {
-                    const prices = this.calendarData.basePrices[monthKey].prices;
-                    const priceIndex = prices.findIndex(item => item.date === dateString);
+                const removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.className = 'calendar_rule-remove';
+                removeButton.setAttribute(this.attributes.ruleRemove, rule.id);
+                removeButton.textContent = '×';
 
-                    if (priceIndex !== -1) {
-                        prices[priceIndex].price = basePrice;
-                    }
-                }
-            }
+                item.append(name, details, removeButton);
+                list.appendChild(item);
+            });
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при отрисовке правил ценообразования:', error);
         }
-
-        this.saveMonthData(monthKey);
-        this.updateAllDaysDisplay();
     }
 
     /**
-     * Блокировка выбранного диапазона дат
+     * Инициализация обработчиков добавления и удаления правил ценообразования
      */
-    blockSelectedRange() {
-        if (this.calendarData.dateRanges.length === 0) {
-            console.warn('[UnifiedCalendarManager] Нет выбранных диапазонов для блокировки');
-            return;
-        }
-
+    initPricingRuleHandlers() {
         try {
-            const lastRange = this.calendarData.dateRanges[this.calendarData.dateRanges.length - 1];
-            if (!lastRange || !lastRange.start || !lastRange.end) {
-                console.error('[UnifiedCalendarManager] Некорректный диапазон дат');
-                return;
-            }
+            const addRuleButton = this.getElement('addRuleButton');
+            if (addRuleButton) {
+                addRuleButton.addEventListener('click', (event) => {
+                    event.preventDefault();
 
-            // Получаем текущую базовую цену
-            const basePrice = this.getBasePrice();
-            
-            // Проходим по всем дням в диапазоне
-            const startDate = new Date(lastRange.start.timestamp);
-            const endDate = new Date(lastRange.end.timestamp);
-            const processedMonthKeys = new Set(); // Для отслеживания обработанных месяцев
-
-            for (let date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
-                const day = date.getDate();
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const year = date.getFullYear();
-                const monthKey = `${year}-${month}`;
-                const dateString = this.formatDate(day, month, year);
-                
-                // Добавляем дату в список заблокированных
-                if (!this.calendarData.blockedDates[monthKey]) {
-                    this.calendarData.blockedDates[monthKey] = [];
-                }
-                
-                // Проверяем, не заблокирована ли дата уже
-                const isAlreadyBlocked = this.calendarData.blockedDates[monthKey].some(item => {
-                    if (typeof item === 'object' && item.date) {
-                        return item.date === dateString;
-                    }
-                    return item === dateString;
-                });
-                
-                if (!isAlreadyBlocked) {
-                    this.calendarData.blockedDates[monthKey].push({
-                        date: dateString,
-                        price: basePrice // Сохраняем текущую цену
+                    const readValue = name => {
+                        const input = this.getElement(name);
+                        return input ? input.value.trim() : '';
+                    };
+
+                    const rule = this.addPricingRule({
+                        name: readValue('ruleNameInput'),
+                        start: readValue('ruleStartInput'),
+                        end: readValue('ruleEndInput'),
+                        priority: readValue('rulePriorityInput'),
+                        type: readValue('ruleTypeInput') || PRICING_RULE_TYPES.FIXED,
+                        value: readValue('ruleValueInput')
                     });
-                }
-                
-                processedMonthKeys.add(monthKey);
-                
-                // Обновляем UI для текущего месяца
-                const monthName = REVERSE_MONTH_MAP[month];
-                const currentMonthYearElement = document.querySelector('[current_month_year]');
-                
-                if (currentMonthYearElement) {
-                    const [currentMonthName, currentYear] = currentMonthYearElement.textContent.trim().split(' ');
-                    
-                    if (monthName === currentMonthName && year.toString() === currentYear) {
-                        // Находим ячейку для этого дня
-                        document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(dayWrapper => {
-                            const dayEl = dayWrapper.querySelector('[day]');
-                            if (dayEl && parseInt(dayEl.textContent.trim()) === day) {
-                                // Добавляем класс is-blocked для обозначения блокировки
-                                dayWrapper.classList.add('is-blocked');
-                                dayWrapper.classList.remove('is-selected');
-                                dayWrapper.classList.remove('is-active');
-                                
-                                // Обновляем отображаемую цену (для заблокированных дней обычно не показывается)
-                                const servicePriceElement = dayWrapper.querySelector('[service-price]');
-                                if (servicePriceElement) {
-                                    servicePriceElement.textContent = basePrice;
-                                }
-                            }
+
+                    // Очищаем поля после успешного добавления
+                    if (rule) {
+                        ['ruleNameInput', 'ruleStartInput', 'ruleEndInput', 'rulePriorityInput', 'ruleValueInput'].forEach(name => {
+                            const input = this.getElement(name);
+                            if (input) input.value = '';
                         });
                     }
-                }
+                });
             }
-            
-            // Сохраняем данные для всех затронутых месяцев
-            this.storage.save('blockedDatesMap', this.calendarData.blockedDates);
-            
-            // Удаляем заблокированный диапазон из выбранных
-            this.calendarData.dateRanges.pop();
-            
-            // Обновляем отображение и состояние
-            this.updateAllDaysDisplay();
-            this.toggleSettingsVisibility(false);
-            this.toggleChosenDatesVisibility(false);
-            this.tempSelection.isRangeConfirmed = true;
-            this.tempSelection.start = null;
-            this.tempSelection.startMonth = null;
-            this.tempSelection.startYear = null;
-            this.clearWaitState();
-            
-            // Деактивируем режим блокировки
-            const blockButton = document.querySelector('[button_block]');
-            if (blockButton) {
-                blockButton.classList.remove('is--add-service');
+
+            const list = this.getElement('pricingRulesList');
+            if (list) {
+                list.addEventListener('click', (event) => {
+                    const removeButton = event.target.closest(`[${this.attributes.ruleRemove}]`);
+                    if (removeButton) {
+                        event.preventDefault();
+                        this.removePricingRule(removeButton.getAttribute(this.attributes.ruleRemove));
+                    }
+                });
             }
-            
-            // Устанавливаем цвет фона для всех дней в диапазоне
-            this.setRangeBackgroundColor(lastRange.start.timestamp, lastRange.end.timestamp, '#090633');
-            
-            console.log('[UnifiedCalendarManager] Диапазон дат успешно заблокирован');
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при блокировке диапазона дат:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при инициализации обработчиков правил ценообразования:', error);
         }
     }
 
     /**
-     * Сохранение данных месяца в localStorage
-     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * Установка цены или корректировки для дня недели
+     * @param {number|number[]} dayOfWeek - День недели (0 - воскресенье ... 6 - суббота) или список дней
+     * @param {Object|null} adjustment - Корректировка {type, value} или null для удаления
      */
-    saveMonthData(monthKey) {
-        if (!monthKey) {
-            console.error('[UnifiedCalendarManager] Не указан ключ месяца для сохранения данных');
-            return;
-        }
-
+    setWeekdayPrice(dayOfWeek, adjustment) {
         try {
-            // Сохраняем базовые цены
-            this.storage.save(`monthData-${monthKey}`, this.calendarData.basePrices[monthKey]);
+            const historyBefore = this.captureState();
+            const weekdayPrices = { ...(this.settings.weekdayPrices || {}) };
+            const days = [].concat(dayOfWeek);
             
-            // Сохраняем заблокированные даты
-            this.storage.save('blockedDatesMap', this.calendarData.blockedDates);
+            days.forEach(day => {
+                if (adjustment) {
+                    weekdayPrices[day] = { ...adjustment };
+                } else {
+                    delete weekdayPrices[day];
+                }
+            });
             
-            console.log(`[UnifiedCalendarManager] Данные месяца ${monthKey} сохранены`);
+            this.settings.weekdayPrices = weekdayPrices;
+            this.commitSettingsChange(`Цена дня недели ${days.join(', ')}`, historyBefore);
         } catch (error) {
-            console.error(`[UnifiedCalendarManager] Ошибка сохранения данных месяца ${monthKey}:`, error);
+            console.error('[UnifiedCalendarManager] Ошибка при установке цены дня недели:', error);
         }
     }
 
     /**
-     * Обновление отображения всех дней в календаре
+     * Установка выходных дней недели
+     * @param {number[]} weekendDays - Дни недели (0 - воскресенье ... 6 - суббота)
      */
-    updateAllDaysDisplay() {
+    setWeekendDays(weekendDays) {
         try {
-            console.log('[UnifiedCalendarManager] Обновление отображения всех дней в календаре...');
-            
-            // Получаем все дни календаря
-            const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
-            
-            // Получаем текущий год и месяц
-            const [year, month] = this.currentMonthKey.split('-').map(Number);
-            
-            // Обновляем отображение каждого дня
-            calendarDays.forEach(dayWrapper => {
-                const dayElement = dayWrapper.querySelector('[day]');
-                if (!dayElement) return;
-                
-                const day = parseInt(dayElement.textContent.trim());
-                if (isNaN(day)) return;
-                
-                // Создаем дату для текущего дня
-                const date = new Date(year, month - 1, day);
-                
-                // Проверяем, является ли день выходным
-                const isWeekend = date.getDay() === 0 || date.getDay() === 6;
-                
-                // Добавляем класс для выходных дней
-                if (isWeekend) {
-                    dayWrapper.classList.add('weekend');
-                } else {
-                    dayWrapper.classList.remove('weekend');
-                }
-                
-                // Проверяем, является ли день текущим
-                const today = new Date();
-                const isToday = date.getDate() === today.getDate() && 
-                                date.getMonth() === today.getMonth() && 
-                                date.getFullYear() === today.getFullYear();
-                
-                // Добавляем класс для текущего дня
-                if (isToday) {
-                    dayWrapper.classList.add('today');
-                } else {
-                    dayWrapper.classList.remove('today');
+            const historyBefore = this.captureState();
+            this.settings.weekendDays = [...new Set(weekendDays.map(Number))].filter(day => day >= 0 && day <= 6);
+            this.commitSettingsChange('Выходные дни', historyBefore);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при установке выходных дней:', error);
+        }
+    }
+
+    /**
+     * Чтение цен по дням недели и выходных дней из панели настроек
+     * Если полей нет в разметке, возвращаются текущие настройки.
+     * @returns {Object} - {weekdayPrices, weekendDays}
+     */
+    readWeekdaySettings() {
+        const priceInputs = this.getElements('weekdayPriceInput');
+        const weekendInputs = this.getElements('weekendDayInput');
+        
+        let weekdayPrices = this.settings.weekdayPrices || {};
+        if (priceInputs.length > 0) {
+            weekdayPrices = {};
+            priceInputs.forEach(input => {
+                const adjustment = this.model.parseAdjustment(input.value);
+                if (adjustment) {
+                    weekdayPrices[input.getAttribute(this.attributes.weekdayPrice)] = adjustment;
                 }
-                
-                // Проверяем, находится ли день в выбранном диапазоне
-                let isInSelectedRange = false;
-                
-                // Проверяем все выбранные диапазоны
-                for (const range of this.calendarData.dateRanges) {
-                    if (!range.start || !range.end) continue;
-                    
-                    const startDate = new Date(range.start.timestamp);
-                    const endDate = new Date(range.end.timestamp);
+            });
+        }
+        
+        let weekendDays = this.settings.weekendDays || [6, 0];
+        if (weekendInputs.length > 0) {
+            weekendDays = Array.from(weekendInputs)
+                .filter(input => input.checked)
+                .map(input => Number(input.getAttribute(this.attributes.weekendDay)));
+        }
+        
+        return { weekdayPrices, weekendDays };
+    }
+
+    /**
+     * Заполнение полей цен по дням недели и чекбоксов выходных дней из настроек
+     */
+    renderWeekdaySettings() {
+        const weekdayPrices = this.settings.weekdayPrices || {};
+        const weekendDays = this.settings.weekendDays || [];
+        
+        this.getElements('weekdayPriceInput').forEach(input => {
+            const dayOfWeek = input.getAttribute(this.attributes.weekdayPrice);
+            input.value = this.model.formatAdjustment(weekdayPrices[dayOfWeek]);
+        });
+        
+        this.getElements('weekendDayInput').forEach(input => {
+            input.checked = weekendDays.includes(Number(input.getAttribute(this.attributes.weekendDay)));
+        });
+    }
+
+    /**
+     * Инициализация обработчиков цен по дням недели и выбора выходных дней
+     */
+    initWeekdayHandlers() {
+        try {
+            this.getElements('weekdayPriceInput').forEach(input => {
+                input.addEventListener('change', () => {
+                    const dayOfWeek = Number(input.getAttribute(this.attributes.weekdayPrice));
+                    const adjustment = this.model.parseAdjustment(input.value);
                     
-                    // Проверяем, находится ли текущий день в диапазоне
-                    if (date >= startDate && date <= endDate) {
-                        isInSelectedRange = true;
-                        break;
+                    if (input.value.trim() && !adjustment) {
+                        console.error(`[UnifiedCalendarManager] Некорректная цена дня недели: ${input.value}`);
+                        this.renderWeekdaySettings();
+                        return;
                     }
-                }
-                
-                // Устанавливаем цвет фона для дней в выбранном диапазоне
-                if (isInSelectedRange) {
-                    dayWrapper.style.backgroundColor = '#090633';
-                }
+                    
+                    this.setWeekdayPrice(dayOfWeek, adjustment);
+                });
             });
             
-            console.log('[UnifiedCalendarManager] Отображение всех дней в календаре обновлено');
+            this.getElements('weekendDayInput').forEach(input => {
+                input.addEventListener('change', () => {
+                    this.setWeekendDays(this.readWeekdaySettings().weekendDays);
+                });
+            });
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при обновлении отображения всех дней в календаре:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при инициализации обработчиков цен по дням недели:', error);
         }
     }
-    
+
     /**
-     * Генерация календаря для указанного месяца и года
-     * @param {string} dateString - Строка даты в формате "MM.YYYY"
+     * Загрузка в модель сохраненных данных месяцев диапазона, которые еще не загружены
+     * Без этого запись в новый месяц перезаписала бы его сохраненные цены.
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
      */
-    generateCalendar(dateString) {
-        if (!dateString || !dateString.includes('.')) {
-            console.error(`[UnifiedCalendarManager] Некорректный формат даты: ${dateString}`);
-            return;
-        }
+    ensureMonthsLoaded(startKey, endKey) {
+        this.model.forEachDateInRange(startKey, endKey, (dateKey, monthKey) => {
+            if (this.calendarData.basePrices[monthKey]) return;
+
+            const monthData = this.loadStoredMonthData(monthKey);
+            if (monthData) {
+                this.calendarData.basePrices[monthKey] = monthData;
+            }
+            this.model.ensureBasePrices(monthKey);
+        });
+    }
 
+    /**
+     * Установка ручной цены для последнего выбранного диапазона (слой override)
+     * @param {number} [price] - Цена (по умолчанию из поля ручной цены)
+     */
+    applyPriceOverrideToRange(price) {
         try {
-            const [month, year] = dateString.split('.').map(Number);
-            if (isNaN(month) || isNaN(year) || month < 1 || month > 12 || year < 1900 || year > 2100) {
-                console.error(`[UnifiedCalendarManager] Недопустимые значения месяца или года: месяц=${month}, год=${year}`);
+            const lastRange = this.calendarData.dateRanges[this.calendarData.dateRanges.length - 1];
+            if (!lastRange) {
+                console.warn('[UnifiedCalendarManager] Нет выбранных диапазонов для установки цены');
                 return;
             }
 
-            const firstDay = new Date(year, month - 1, 1);
-            const lastDay = new Date(year, month, 0);
-            const daysInMonth = lastDay.getDate();
-
-            const calendarArray = [];
-            let week = Array(7).fill('');
-            const adjustedFirstDay = (firstDay.getDay() === 0) ? 6 : firstDay.getDay() - 1;
-
-            let dayCounter = 1;
-            for (let i = 0; i < adjustedFirstDay; i++) {
-                week[i] = '';
+            if (price === undefined) {
+                const priceInput = this.getElement('manualPriceInput');
+                price = priceInput ? priceInput.value.trim() : '';
             }
 
-            for (let col = adjustedFirstDay; col < 7; col++) {
-                week[col] = dayCounter++;
+            if (price === '' || isNaN(Number(price))) {
+                console.warn('[UnifiedCalendarManager] Не указана цена для диапазона');
+                return;
             }
-            calendarArray.push(week);
 
-            while (dayCounter <= daysInMonth) {
-                week = Array(7).fill('');
-                for (let col = 0; col < 7 && dayCounter <= daysInMonth; col++) {
-                    week[col] = dayCounter++;
-                }
-                calendarArray.push(week);
+            // Месяцы диапазона загружаются до снимка, чтобы их можно было отменить
+            const { start, end } = this.describeRange(lastRange);
+            this.ensureMonthsLoaded(start, end);
+            const historyBefore = this.captureState();
+            const monthKeys = this.model.setPriceOverride(start, end, price);
+            if (monthKeys.size === 0) return;
+
+            monthKeys.forEach(monthKey => this.saveMonthData(monthKey));
+            this.recordHistory('Ручная цена для диапазона', historyBefore);
+            this.loadMonthPrices();
+            this.emit(CALENDAR_EVENTS.PRICE_OVERRIDE, {
+                ranges: [{ start, end }],
+                price: Number(price)
+            });
+
+            console.log(`[UnifiedCalendarManager] Цена ${price} установлена для диапазона ${start} - ${end}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при установке цены для диапазона:', error);
+        }
+    }
+
+    /**
+     * Заметка для последнего выбранного диапазона
+     * @param {string} [text] - Текст заметки (по умолчанию из поля заметки); пустой текст удаляет заметки
+     */
+    applyNoteToRange(text) {
+        try {
+            const lastRange = this.calendarData.dateRanges[this.calendarData.dateRanges.length - 1];
+            if (!lastRange) {
+                console.warn('[UnifiedCalendarManager] Нет выбранных диапазонов для заметки');
+                return;
             }
 
-            // Сбрасываем состояние блокировки
-            const selectedElements_blocked = document.querySelectorAll('.calendar_day-wrapper.is-blocked.is-blocked-active');
-            const button_block = document.querySelector('[button_block]');
-            if (button_block) button_block.classList.remove('is--add-service');
+            if (text === undefined) {
+                const noteInput = this.getElement('noteInput');
+                text = noteInput ? noteInput.value : '';
+            }
 
-            selectedElements_blocked.forEach(element => {
-                element.classList.remove('is-blocked-active');
+            // Месяцы диапазона загружаются до снимка, чтобы их можно было отменить
+            const { start, end } = this.describeRange(lastRange);
+            this.ensureMonthsLoaded(start, end);
+            const historyBefore = this.captureState();
+            const monthKeys = this.model.setNote(start, end, text);
+            if (monthKeys.size === 0) return;
+
+            monthKeys.forEach(monthKey => this.saveMonthData(monthKey));
+            this.recordHistory('Заметка для диапазона', historyBefore);
+            this.loadMonthPrices();
+            this.emit(CALENDAR_EVENTS.NOTE, {
+                ranges: [{ start, end }],
+                text: String(text || '').trim()
             });
 
-            // Заполняем календарь датами используя DocumentFragment для оптимизации
-            const fragment = document.createDocumentFragment();
-            let flatDays = calendarArray.flat();
+            console.log(`[UnifiedCalendarManager] Заметка сохранена для диапазона ${start} - ${end}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при сохранении заметки:', error);
+        }
+    }
 
-            for (let i = 0; i < 42; i++) {
-                const cell = document.querySelector(`[day='${i}']`);
-                const dayWrapper = cell ? cell.closest('.calendar_day-wrapper') : null;
-                if (!cell || !dayWrapper) continue;
+    /**
+     * Заполнение поля заметки для последнего выбранного диапазона
+     * Поле заполняется, только если у всех дней диапазона одна и та же заметка.
+     */
+    renderNoteInput() {
+        const noteInput = this.getElement('noteInput');
+        if (!noteInput) return;
 
-                try {
-                    const day = flatDays[i];
-                    const servicePrice = dayWrapper.querySelector('[service-price]');
-                    const priceCurrency = dayWrapper.querySelector('[price-currency]');
-
-                    if (day) {
-                        cell.textContent = day;
-                        dayWrapper.classList.remove('not_exist');
-                        if (servicePrice) {
-                            servicePrice.style.display = '';
-                        }
-                        if (priceCurrency) {
-                            priceCurrency.style.display = '';
-                        }
-                    } else {
-                        cell.textContent = '';
-                        dayWrapper.classList.add('not_exist');
-                        if (servicePrice) {
-                            servicePrice.style.display = 'none';
-                        }
-                        if (priceCurrency) {
-                            priceCurrency.style.display = 'none';
-                        }
-                    }
-                } catch (error) {
-                    console.error(`[UnifiedCalendarManager] Ошибка при генерации ячейки ${i}:`, error);
-                }
-            }
+        const lastRange = this.calendarData.dateRanges[this.calendarData.dateRanges.length - 1];
+        if (!lastRange) {
+            noteInput.value = '';
+            return;
+        }
 
-            this.updateAllDaysDisplay();
-            console.log(`[UnifiedCalendarManager] Календарь сгенерирован для ${month}.${year}`);
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при генерации календаря:', error);
+        const notes = new Set();
+        this.model.forEachDateInRange(lastRange.start.date, lastRange.end.date, dateKey => {
+            notes.add(this.model.getNote(dateKey));
+        });
+        noteInput.value = notes.size === 1 ? [...notes][0] : '';
+    }
+
+    /**
+     * Отметка дня с заметкой
+     * Текст выводится через textContent, поэтому разметка в заметке не интерпретируется.
+     * @param {HTMLElement} dayWrapper - Обертка дня
+     * @param {string} text - Текст заметки (пустая строка - заметки нет)
+     */
+    renderDayNote(dayWrapper, text) {
+        dayWrapper.classList.toggle('has-note', Boolean(text));
+
+        const indicator = this.getElement('dayNote', dayWrapper);
+        if (indicator) {
+            indicator.textContent = text;
+            indicator.hidden = !text;
         }
     }
 
     /**
-     * Установка текущей даты
+     * Удаление слоя цены
+     * Слои discount и override удаляются в выбранном диапазоне (или во всех месяцах без диапазона),
+     * слой weekday - целиком. Другие слои не затрагиваются.
+     * @param {string} layer - Слой (PRICE_LAYERS.WEEKDAY, PRICE_LAYERS.DISCOUNT, PRICE_LAYERS.OVERRIDE)
+     * @param {Object} [range] - Диапазон {start, end} в формате YYYY-MM-DD
      */
-    setCurrentDate() {
+    clearPriceLayer(layer, range = null) {
         try {
-            const now = new Date();
-            if (isNaN(now.getTime())) {
-                console.error('[UnifiedCalendarManager] Ошибка получения текущей даты');
-                return;
+            // Слой discount или override удаляется и в сохраненных месяцах: загружаем их до снимка
+            if (layer !== PRICE_LAYERS.WEEKDAY) {
+                this.calendarData.basePrices = this.loadAllMonthData();
             }
+            const historyBefore = this.captureState();
 
-            const currentMonth = REVERSE_MONTH_MAP[(now.getMonth() + 1).toString().padStart(2, '0')];
-            const currentYear = now.getFullYear();
-            const monthYearElement = document.querySelector('[current_month_year]');
-
-            if (monthYearElement) {
-                monthYearElement.textContent = `${currentMonth} ${currentYear}`;
+            if (layer === PRICE_LAYERS.WEEKDAY) {
+                this.settings.weekdayPrices = {};
+                this.commitSettingsChange('Удаление цен по дням недели', historyBefore);
             } else {
-                console.warn('[UnifiedCalendarManager] Элемент текущего месяца и года не найден');
+                const monthKeys = this.model.clearLayer(layer, range && range.start, range && range.end);
+                if (monthKeys.size === 0) return;
+
+                monthKeys.forEach(monthKey => this.saveMonthData(monthKey));
+                this.recordHistory(`Удаление слоя цены: ${layer}`, historyBefore);
+                this.loadMonthPrices();
             }
 
-            console.log(`[UnifiedCalendarManager] Установлена текущая дата: ${currentMonth} ${currentYear}`);
+            this.emit(CALENDAR_EVENTS.PRICE_LAYER_CLEAR, { layer, range });
+            console.log(`[UnifiedCalendarManager] Слой цены ${layer} удален`);
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при установке текущей даты:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при удалении слоя цены:', error);
         }
     }
 
     /**
-     * Обновление календаря для текущего месяца
+     * Инициализация обработчиков ручной цены и удаления слоев цены
      */
-    updateCalendar() {
+    initPriceLayerHandlers() {
         try {
-            console.log('[UnifiedCalendarManager] Обновление календаря...');
-            
-            // Генерируем календарь
-            this.generateCalendar();
-            
-            // Обновляем цены
-            this.updatePrices();
-            
-            // Получаем текущий год и месяц
-            const [year, month] = this.currentMonthKey.split('-').map(Number);
-            
-            // Получаем название месяца на английском
-            const monthNames = [
-                'January', 'February', 'March', 'April', 'May', 'June',
-                'July', 'August', 'September', 'October', 'November', 'December'
-            ];
-            const monthName = monthNames[month - 1];
-            
-            // Обновляем заголовок месяца в элементе с классом calendar_month
-            const calendarMonthElement = document.querySelector('.calendar_month');
-            if (calendarMonthElement) {
-                calendarMonthElement.textContent = `${monthName} ${year}`;
-                console.log(`[UnifiedCalendarManager] Заголовок месяца обновлен: ${monthName} ${year}`);
-            } else {
-                console.warn('[UnifiedCalendarManager] Элемент с классом calendar_month не найден');
+            const saveNoteButton = this.getElement('saveNoteButton');
+            if (saveNoteButton) {
+                saveNoteButton.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    this.applyNoteToRange();
+                });
             }
-            
-            // Обновляем заголовок месяца в элементе с атрибутом calendar-month
-            const calendarMonthAttrElement = document.querySelector('[calendar-month]');
-            if (calendarMonthAttrElement) {
-                calendarMonthAttrElement.textContent = `${monthName} ${year}`;
-                console.log(`[UnifiedCalendarManager] Заголовок месяца (атрибут) обновлен: ${monthName} ${year}`);
+
+            const setPriceButton = this.getElement('setPriceButton');
+            if (setPriceButton) {
+                setPriceButton.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    this.applyPriceOverrideToRange();
+                });
             }
-            
-            console.log(`[UnifiedCalendarManager] Календарь обновлен для ${monthName} ${year}`);
-            
-            // Переинициализируем обработчики для эффекта hover
-            this.initHoverEffectHandlers();
-            
-            // Обновляем отображение всех дней
-            this.updateAllDaysDisplay();
+
+            // Слой удаляется в последнем выбранном диапазоне, а без выбора - целиком
+            this.getElements('clearLayerButton').forEach(button => {
+                button.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    const lastRange = this.calendarData.dateRanges[this.calendarData.dateRanges.length - 1];
+                    this.clearPriceLayer(
+                        button.getAttribute(this.attributes.clearLayer),
+                        lastRange ? this.describeRange(lastRange) : null
+                    );
+                });
+            });
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при обновлении календаря:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при инициализации обработчиков слоев цены:', error);
         }
     }
 
     /**
-     * Загрузка цен для текущего месяца
+     * Расчет стоимости диапазона: ночи или часы, цены дней, сборы, налоги и итог
+     * Результат - простой объект, пригодный для JSON.stringify.
+     * @param {Object} [range] - Диапазон {start, end} (по умолчанию последний выбранный)
+     * @returns {Object|null} - Расчет из CalendarModel.getQuote или null, если диапазон не выбран
      */
-    loadMonthPrices() {
-        const monthKey = this.currentMonthKey;
-        if (!monthKey) {
-            console.error('[UnifiedCalendarManager] Текущий ключ месяца не определен');
-            return;
-        }
+    getQuote(range = this.calendarData.dateRanges[this.calendarData.dateRanges.length - 1]) {
+        if (!range || !range.start || !range.end) return null;
+
+        const { start, end } = this.describeRange(range);
+        return this.model.getQuote(start, end);
+    }
 
+    /**
+     * Изменение настроек расчета стоимости (единица, сборы, налоги)
+     * @param {Object} quoteSettings - {unit, hoursPerDay, fees: [{name, amount}], taxes: [{name, percent}]}
+     */
+    setQuoteSettings(quoteSettings) {
         try {
-            const [year, month] = monthKey.split('-');
-            if (!year || !month) {
-                console.error(`[UnifiedCalendarManager] Неверный формат ключа месяца: ${monthKey}`);
-                return;
-            }
+            const historyBefore = this.captureState();
+            this.settings = {
+                ...this.settings,
+                quote: { ...(this.settings.quote || {}), ...quoteSettings }
+            };
+            this.settings.quote = this.model.getQuoteSettings();
 
-            // Если нет данных для текущего месяца, загружаем их
-            if (!this.calendarData.basePrices[monthKey]) {
-                this.loadMonthData(monthKey);
-            }
+            this.commitSettingsChange('Изменение сборов и налогов', historyBefore);
+            this.renderQuote();
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при изменении настроек расчета стоимости:', error);
+        }
+    }
 
-            const monthPrices = this.calendarData.basePrices[monthKey].prices || [];
-            const defaultCost = this.calendarData.basePrices[monthKey].defaultCost;
+    /**
+     * Изменение правил по сроку до даты (скидка в последний момент, наценка при раннем бронировании)
+     * Правила применяются к цене при каждой отрисовке относительно сегодняшней даты.
+     * @param {Array<Object>} rules - Правила [{name, minDays, maxDays, type, value}],
+     *     например [{maxDays: 3, type: 'percent', value: -15}, {minDays: 181, type: 'percent', value: 10}]
+     */
+    setLeadTimeRules(rules) {
+        try {
+            const normalizedRules = (rules || []).map(rule => this.model.normalizeLeadTimeRule(rule));
+            if (normalizedRules.includes(null)) return;
 
-            // Создаем DocumentFragment для оптимизации DOM-операций
-            const fragment = document.createDocumentFragment();
-            const updatedCells = [];
+            const historyBefore = this.captureState();
+            this.settings = { ...this.settings, leadTimeRules: normalizedRules };
 
-            document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(dayWrapper => {
-                const dayElement = dayWrapper.querySelector('[day]');
-                const servicePriceElement = dayWrapper.querySelector('[service-price]');
+            this.commitSettingsChange('Изменение правил по сроку до даты', historyBefore);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при изменении правил по сроку до даты:', error);
+        }
+    }
 
-                if (!dayElement || !servicePriceElement) return;
+    /**
+     * Изменение ступеней скидки за длительность проживания
+     * Скидка применяется при расчете стоимости диапазона, цены дней в basePrices не меняются.
+     * @param {Array<Object>} tiers - Ступени [{minNights, percent}], например [{minNights: 7, percent: 10}]
+     */
+    setStayDiscounts(tiers) {
+        try {
+            const historyBefore = this.captureState();
+            this.settings = { ...this.settings, stayDiscounts: tiers || [] };
+            this.settings.stayDiscounts = this.model.getStayDiscounts();
 
-                try {
-                    const dayText = dayElement.textContent.trim();
-                    if (dayText === "") return;
+            this.commitSettingsChange('Изменение скидок за длительность', historyBefore);
+            this.renderQuote();
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при изменении скидок за длительность:', error);
+        }
+    }
 
-                    const day = parseInt(dayText);
-                    if (isNaN(day) || day < 1 || day > 31) {
-                        console.warn(`[UnifiedCalendarManager] Некорректный день месяца: ${dayText}`);
-                        return;
-                    }
+    /**
+     * Вывод расчета стоимости последнего диапазона в [chosen-total] и [chosen-breakdown]
+     * @returns {Object|null} - Отображенный расчет
+     */
+    renderQuote() {
+        try {
+            const quote = this.getQuote();
+            const totalElement = this.getElement('chosenTotal');
+            const breakdownElement = this.getElement('chosenBreakdown');
+
+            if (totalElement) {
+                totalElement.textContent = quote ? this.formatPrice(quote.total) : '';
+            }
 
-                    const date = this.formatDate(day, month, year);
-                    const dateString = this.formatDate(day, month, year);
+            if (breakdownElement) {
+                breakdownElement.textContent = '';
 
-                    // Проверяем статусы
-                    const isBlocked = this.isDateBlocked(dateString, monthKey);
+                if (quote) {
+                    const unitLabel = quote.unit === QUOTE_UNITS.HOUR ? 'ч' : 'ноч.';
+                    const lines = quote.days.map(day => {
+                        const dateText = this.formatDisplayDate(day.date, { day: 'numeric', month: 'long' });
+                        return quote.unit === QUOTE_UNITS.HOUR
+                            ? `${dateText}: ${day.quantity} ч × ${this.formatPrice(day.price)} = ${this.formatPrice(day.amount)}`
+                            : `${dateText}: ${this.formatPrice(day.amount)}`;
+                    });
 
-                    if (isBlocked) {
-                        // Если день заблокирован, устанавливаем классы и цену 0
-                        dayWrapper.classList.add('is-blocked');
-                        dayWrapper.classList.add('is-blocked-active');
-                        servicePriceElement.textContent = this.getBlockedDatePrice(dateString, monthKey);
-                    } else {
-                        // Иначе используем цену из базовых цен или по умолчанию
-                        const priceObj = monthPrices.find(item => item.date === date);
-                        const finalPrice = priceObj ? priceObj.price : defaultCost;
-                        servicePriceElement.textContent = finalPrice;
-
-                        // Проверяем, не является ли это днем со скидкой
-                        const timestamp = new Date(parseInt(year), parseInt(month) - 1, day).getTime();
-                        const hasDiscount = this.calendarData.dateDiscounts[timestamp] !== undefined;
-                        dayWrapper.classList.toggle('is-active', hasDiscount);
+                    lines.push(`Итого за ${quote.quantity} ${unitLabel}: ${this.formatPrice(quote.subtotal)}`);
+                    if (quote.stayDiscount) {
+                        lines.push(`Скидка за ${quote.stayDiscount.minNights}+ ноч. (−${quote.stayDiscount.percent}%): −${this.formatPrice(quote.stayDiscount.amount)}`);
+                    }
+                    quote.fees.forEach(fee => lines.push(`${fee.name}: ${this.formatPrice(fee.amount)}`));
+                    quote.taxes.forEach(tax => lines.push(`${tax.name} (${tax.percent}%): ${this.formatPrice(tax.amount)}`));
+                    if (!quote.available) {
+                        lines.push(`Заблокированные даты в диапазоне: ${quote.blockedDates.map(date => this.formatDisplayDate(date)).join(', ')}`);
                     }
 
-                    // Добавляем ячейку в список обновленных
-                    updatedCells.push(day);
-                } catch (error) {
-                    console.error('[UnifiedCalendarManager] Ошибка при обработке дня:', error);
+                    lines.forEach(text => {
+                        const line = document.createElement('div');
+                        line.className = 'calendar_quote-line';
+                        line.textContent = text;
+                        breakdownElement.appendChild(line);
+                    });
                 }
-            });
+            }
 
-            console.log(`[UnifiedCalendarManager] Загружены цены для месяца ${monthKey}. Обновлено ячеек: ${updatedCells.length}`);
+            this.emit(CALENDAR_EVENTS.QUOTE, { quote });
+            return quote;
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при загрузке цен для месяца:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при расчете стоимости диапазона:', error);
+            return null;
         }
     }
 
     /**
-     * Форматирование диапазона дат для отображения
-     * @param {Object} range - Объект диапазона дат {start, end}
-     * @returns {string} - Форматированная строка диапазона
+     * Разбор цены дня по шагам с подписями для отображения
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {Object} - {date, price, blocked, steps: [{layer, label, price, ...}]}
      */
-    formatDateRange(range) {
-        if (!range || !range.start || !range.end) {
-            console.error('[UnifiedCalendarManager] Передан неверный диапазон дат в formatDateRange');
-            return '';
+    getPriceBreakdown(dateKey) {
+        // Дни выбранного диапазона показывают и скидку за длительность
+        const quote = this.getQuote();
+        const nights = quote && quote.days.some(day => day.date === dateKey) ? quote.days.length : 0;
+
+        const breakdown = this.model.getPriceBreakdown(dateKey, nights);
+        breakdown.steps = breakdown.steps.map(step => ({ ...step, label: this.describePriceStep(step) }));
+        return breakdown;
+    }
+
+    /**
+     * Подпись шага расчета цены
+     * @param {Object} step - Шаг из CalendarModel.getPriceBreakdown
+     * @returns {string}
+     */
+    describePriceStep(step) {
+        switch (step.layer) {
+            case PRICE_LAYERS.BASE:
+                return step.source === 'month' ? 'Цена месяца' : 'Базовая цена';
+            case PRICE_LAYERS.RULE:
+                return `Правило «${step.rule.name}»: ${this.describePricingRule(step.rule)}`;
+            case PRICE_LAYERS.WEEKDAY:
+                return `${this.getWeekdayName(step.dayOfWeek)}: ${this.describePricingRule(step.adjustment)}`;
+            case PRICE_LAYERS.LEAD_TIME:
+                return `Правило «${step.rule.name}» (через ${step.rule.leadDays} дн.): ${this.describePricingRule(step.rule)}`;
+            case PRICE_LAYERS.DISCOUNT:
+                return `Скидка на диапазон: ${step.discount}%`;
+            case PRICE_LAYERS.OVERRIDE:
+                return 'Цена, заданная вручную';
+            case PRICE_LAYERS.STAY:
+                return `Скидка за ${step.minNights}+ ноч.: ${step.percent}%`;
+            case PRICE_LAYERS.BLOCKED:
+                return `${this.getBlockCategoryStyle(step.category).label}${step.label ? ` «${step.label}»` : ''}` +
+                    (step.source ? ` (${step.source})` : '') + ', цена при блокировке';
+            default:
+                return step.layer;
+        }
+    }
+
+    /**
+     * Элемент подсказки с разбором цены (из разметки или созданный при первом показе)
+     * @returns {HTMLElement}
+     */
+    getPriceTooltip() {
+        if (this.priceTooltip) return this.priceTooltip;
+
+        let tooltip = this.getElement('priceTooltip');
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.className = 'calendar_price-tooltip';
+            tooltip.style.position = 'fixed';
+            tooltip.style.pointerEvents = 'none';
+            tooltip.style.zIndex = '1000';
+            (this.root === document ? document.body : this.root).appendChild(tooltip);
         }
 
+        tooltip.id = tooltip.id || `${this.listingId || 'calendar'}-price-tooltip`;
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.hidden = true;
+        this.priceTooltip = tooltip;
+        return tooltip;
+    }
+
+    /**
+     * Показ подсказки с разбором цены дня рядом с ячейкой
+     * @param {HTMLElement} dayWrapper - DOM-элемент дня
+     */
+    showPriceTooltip(dayWrapper) {
         try {
-            const startDay = range.start.day.toString().padStart(2, '0');
-            const endDay = range.end.day.toString().padStart(2, '0');
+            const fullDate = this.getDayWrapperDate(dayWrapper);
+            if (!fullDate) return;
 
-            if (range.start.month === range.end.month && range.start.year === range.end.year) {
-                const month = REVERSE_MONTH_MAP[range.start.month];
-                return `${startDay} - ${endDay} ${month}`;
-            } else {
-                const startMonth = REVERSE_MONTH_MAP[range.start.month];
-                const endMonth = REVERSE_MONTH_MAP[range.end.month];
-                return `${startDay} ${startMonth} - ${endDay} ${endMonth}`;
+            const dateKey = this.formatDate(fullDate.day, fullDate.month, fullDate.year);
+            const breakdown = this.getPriceBreakdown(dateKey);
+            const tooltip = this.getPriceTooltip();
+
+            tooltip.textContent = '';
+            breakdown.steps.forEach(step => {
+                const line = document.createElement('div');
+                line.className = 'calendar_price-tooltip-step';
+                line.setAttribute('data-layer', step.layer);
+                line.textContent = `${step.label} → ${this.formatPrice(step.price)}`;
+                tooltip.appendChild(line);
+            });
+
+            const total = document.createElement('div');
+            total.className = 'calendar_price-tooltip-total';
+            total.textContent = `Итого за ${this.formatDisplayDate(dateKey)}: ${this.formatPrice(breakdown.price)}`;
+            tooltip.appendChild(total);
+
+            const noteText = this.model.getNote(dateKey);
+            if (noteText) {
+                const note = document.createElement('div');
+                note.className = 'calendar_price-tooltip-note';
+                note.textContent = noteText;
+                tooltip.appendChild(note);
             }
+
+            const rect = dayWrapper.getBoundingClientRect();
+            tooltip.style.left = `${rect.left}px`;
+            tooltip.style.top = `${rect.bottom + 4}px`;
+            tooltip.hidden = false;
+            dayWrapper.setAttribute('aria-describedby', tooltip.id);
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка форматирования диапазона дат:', error);
-            return '';
+            console.error('[UnifiedCalendarManager] Ошибка при показе разбора цены:', error);
         }
     }
 
     /**
-     * Обновление отображения выбранных дат
+     * Скрытие подсказки с разбором цены
+     * @param {HTMLElement} [dayWrapper] - DOM-элемент дня, с которого уходит курсор или фокус
      */
-    updateChosenDates() {
+    hidePriceTooltip(dayWrapper = null) {
+        if (!this.priceTooltip) return;
+
+        this.priceTooltip.hidden = true;
+        if (dayWrapper) {
+            dayWrapper.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * Инициализация подсказки с разбором цены при наведении и фокусе на день
+     * Ячейки дней не пересоздаются при смене месяца, поэтому обработчики вешаются один раз.
+     */
+    initPriceTooltipHandlers() {
         try {
-            const chosenDatesElement = document.querySelector('[chosen-dates]');
-            if (!chosenDatesElement) return;
-            
-            if (this.calendarData.dateRanges.length === 0) {
-                chosenDatesElement.textContent = '';
-                return;
-            }
-            
-            const dateRanges = this.calendarData.dateRanges.map(range => {
-                const startDate = new Date(range.start.timestamp);
-                const endDate = new Date(range.end.timestamp);
-                
-                const startDay = startDate.getDate();
-                const endDay = endDate.getDate();
-                
-                const startMonth = REVERSE_MONTH_MAP[String(startDate.getMonth() + 1).padStart(2, '0')];
-                const endMonth = REVERSE_MONTH_MAP[String(endDate.getMonth() + 1).padStart(2, '0')];
-                
-                const startYear = startDate.getFullYear();
-                const endYear = endDate.getFullYear();
-                
-                if (startMonth === endMonth && startYear === endYear) {
-                    return `${startDay}-${endDay} ${startMonth} ${startYear}`;
-                } else {
-                    return `${startDay} ${startMonth} ${startYear} - ${endDay} ${endMonth} ${endYear}`;
+            this.getDayWrappers().forEach(dayWrapper => {
+                // Ячейка должна получать фокус с клавиатуры
+                if (!dayWrapper.hasAttribute('tabindex')) {
+                    dayWrapper.setAttribute('tabindex', '0');
                 }
+
+                dayWrapper.addEventListener('mouseenter', () => this.showPriceTooltip(dayWrapper));
+                dayWrapper.addEventListener('focus', () => this.showPriceTooltip(dayWrapper));
+                dayWrapper.addEventListener('mouseleave', () => this.hidePriceTooltip(dayWrapper));
+                dayWrapper.addEventListener('blur', () => this.hidePriceTooltip(dayWrapper));
             });
-            
-            chosenDatesElement.textContent = dateRanges.join(', ');
-            
-            console.log(`[UnifiedCalendarManager] Обновлено отображение выбранных дат: ${dateRanges.join(', ')}`);
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при обновлении отображения выбранных дат:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при инициализации подсказки с разбором цены:', error);
         }
     }
 
     /**
-     * Переключение видимости панели настроек
-     * @param {boolean} show - Показать или скрыть панель
+     * Снимок данных календаря для истории изменений
+     * Копируются только месяцы, загруженные в память: изменение затрагивает только их.
+     * Для остальных сохраненных месяцев запоминаются ключи (см. diffMonthData).
+     * @returns {Object} - Снимок {blockedDates, basePrices, storedMonthKeys, dateRanges, excludedDates, settings}
      */
-    toggleSettingsVisibility(show) {
-        try {
-            const settingsPanel = document.querySelector('.calendar_settings');
-            if (!settingsPanel) return;
-            
-            if (show) {
-                settingsPanel.style.display = 'block';
-            } else {
-                settingsPanel.style.display = 'none';
-            }
-            
-            console.log(`[UnifiedCalendarManager] Видимость панели настроек: ${show}`);
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при переключении видимости панели настроек:', error);
-        }
+    captureState() {
+        return JSON.parse(JSON.stringify({
+            blockedDates: this.calendarData.blockedDates,
+            basePrices: this.calendarData.basePrices,
+            storedMonthKeys: this.storage.keys(/^monthData-/).map(key => key.replace(/^monthData-/, '')),
+            dateRanges: this.calendarData.dateRanges,
+            excludedDates: Array.from(this.calendarData.excludedDates),
+            settings: this.settings
+        }));
     }
 
     /**
-     * Очистка состояния ожидания выбора диапазона
+     * Месяцы, изменившиеся между двумя снимками
+     * Месяц, который был сохранен, но не загружен к моменту первого снимка, пропускается:
+     * его прежнее содержимое неизвестно, и отмена не должна его удалять.
+     * @param {Object} before - Данные по месяцам до изменения
+     * @param {Object} after - Данные по месяцам после изменения
+     * @param {string[]} [storedMonthKeys] - Месяцы, сохраненные к моменту первого снимка
+     * @returns {Object} - {before: {monthKey: данные|null}, after: {monthKey: данные|null}}
      */
-    clearWaitState() {
-        document.querySelectorAll('.calendar_day-wrapper.is-wait').forEach(day => {
-            day.classList.remove('is-wait');
+    diffMonthData(before, after, storedMonthKeys = []) {
+        const diff = { before: {}, after: {} };
+        const monthKeys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        monthKeys.forEach(monthKey => {
+            const previous = before[monthKey] || null;
+            const next = after[monthKey] || null;
+            if (JSON.stringify(previous) === JSON.stringify(next)) return;
+
+            if (!previous && storedMonthKeys.includes(monthKey)) {
+                console.warn(`[UnifiedCalendarManager] Месяц ${monthKey} загружен во время изменения и не попадет в историю`);
+                return;
+            }
+
+            diff.before[monthKey] = previous;
+            diff.after[monthKey] = next;
         });
+
+        return diff;
     }
 
     /**
-     * Отмена последнего выбранного диапазона
+     * Восстановление данных календаря из записи истории с сохранением в хранилище
+     * Цены и блокировки перезаписываются только для месяцев из записи (null - месяц удаляется),
+     * настройки - только если они есть в записи.
+     * @param {Object} state - Сторона записи истории (см. recordHistory)
      */
-    cancelLastRange() {
+    restoreState(state) {
         try {
-            if (this.calendarData.dateRanges.length === 0) {
-                console.warn('[UnifiedCalendarManager] Нет выбранных диапазонов для отмены');
-                return;
-            }
-            
-            // Получаем последний выбранный диапазон
-            const lastRange = this.calendarData.dateRanges.pop();
-            if (!lastRange || !lastRange.start || !lastRange.end) {
-                console.error('[UnifiedCalendarManager] Некорректный диапазон дат для отмены');
-                return;
-            }
-            
-            console.log(`[UnifiedCalendarManager] Отмена диапазона: ${new Date(lastRange.start.timestamp).toLocaleDateString()} - ${new Date(lastRange.end.timestamp).toLocaleDateString()}`);
-            
-            // Снимаем выделение с дней в диапазоне
-            const startDate = new Date(lastRange.start.timestamp);
-            const endDate = new Date(lastRange.end.timestamp);
-            
-            // Проверяем, относится ли диапазон к текущему отображаемому месяцу
-            const currentMonthYearElement = document.querySelector('[current_month_year]');
-            if (currentMonthYearElement) {
-                const [currentMonthName, currentYear] = currentMonthYearElement.textContent.trim().split(' ');
-                const currentMonth = MONTH_MAP[currentMonthName];
-                const currentYearNum = parseInt(currentYear);
-                
-                // Проходим по всем дням в диапазоне
-                for (let date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
-                    const day = date.getDate();
-                    const month = String(date.getMonth() + 1).padStart(2, '0');
-                    const year = date.getFullYear();
-                    
-                    // Если день относится к текущему месяцу, снимаем выделение
-                    if (month === currentMonth && year === currentYearNum) {
-                        document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(dayWrapper => {
-                            const dayEl = dayWrapper.querySelector('[day]');
-                            if (dayEl && parseInt(dayEl.textContent.trim()) === day) {
-                                dayWrapper.classList.remove('is-selected');
-                                dayWrapper.classList.remove('is-wait');
-                                dayWrapper.classList.remove('is-active');
-                            }
-                        });
-                    }
+            const data = JSON.parse(JSON.stringify(state));
+
+            Object.entries(data.blockedDates || {}).forEach(([monthKey, items]) => {
+                if (items) {
+                    this.calendarData.blockedDates[monthKey] = items;
+                } else {
+                    delete this.calendarData.blockedDates[monthKey];
                 }
+            });
+            this.calendarData.dateRanges = data.dateRanges || [];
+            this.calendarData.excludedDates = new Set(data.excludedDates || []);
+            const previousWeekStart = this.getWeekStart();
+            this.settings = data.settings || this.settings;
+
+            // Поле базовой цены имеет приоритет над настройками (см. getBasePrice), поэтому обновляем и его
+            const basePriceInput = this.getElement('basePriceInput');
+            if (data.settings && basePriceInput) {
+                basePriceInput.value = this.settings.defaultPrice;
             }
-            
-            // Обновляем отображение выбранных дат
-            this.updateChosenDates();
-            
-            // Если больше нет выбранных диапазонов, скрываем панель настроек
-            if (this.calendarData.dateRanges.length === 0) {
-                this.toggleSettingsVisibility(false);
-                
-                // Деактивируем кнопки
-                const button_open = document.querySelector('[button_open]');
-                if (button_open) {
-                    button_open.classList.remove('is--add-service');
-                }
-                
-                const button_block = document.querySelector('[button_block]');
-                if (button_block) {
-                    button_block.classList.remove('is--add-service');
+
+            // Сохраняем восстановленные данные
+            Object.entries(data.basePrices || {}).forEach(([monthKey, monthData]) => {
+                if (monthData) {
+                    this.calendarData.basePrices[monthKey] = monthData;
+                    this.storage.saveVersioned(`monthData-${monthKey}`, monthData);
+                } else {
+                    delete this.calendarData.basePrices[monthKey];
+                    this.storage.remove(`monthData-${monthKey}`);
                 }
+            });
+            this.storage.saveVersioned('blockedDatesMap', this.calendarData.blockedDates);
+            this.storage.saveVersioned('calendarGlobalSettings', this.settings);
+
+            // Отрисовываем дни заново
+            this.renderPricingRules();
+            this.renderWeekdaySettings();
+            this.renderCurrencySettings();
+            this.renderWeekdayHeaders();
+            this.renderTimezoneSettings();
+            if (this.getWeekStart() !== previousWeekStart) {
+                this.updateCalendar();
             }
-            
-            // Сбрасываем состояние выбора
-            this.tempSelection.isRangeConfirmed = true;
-            this.tempSelection.start = null;
-            this.tempSelection.startMonth = null;
-            this.tempSelection.startYear = null;
-            
-            console.log('[UnifiedCalendarManager] Диапазон успешно отменен');
+            this.redrawDayStates();
+            this.updateChosenDatesDisplay();
+            this.toggleSettingsVisibility(this.calendarData.dateRanges.length > 0);
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при отмене диапазона:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при восстановлении данных календаря:', error);
         }
     }
 
     /**
-     * Полная очистка всех выбранных дат и настроек
+     * Сброс отметок всех дней и их повторная отрисовка по текущим данным
      */
-    clearAllDates() {
-        try {
-            // Получаем текущую базовую цену из поля ввода
-            const basePrice = this.getBasePrice();
+    redrawDayStates() {
+        this.getDayWrappers().forEach(dayWrapper => {
+            dayWrapper.classList.remove('is-blocked', 'is-blocked-active', 'is-active', 'is-lead-time');
+            this.clearBlockedDayState(dayWrapper);
+        });
+        this.resetAllDaysBackgroundColor();
+        this.loadMonthPrices();
+        this.updateAllDaysDisplay();
+        this.refreshSelectionState();
+    }
 
-            // Очищаем состояние
-            this.calendarData.dateRanges = [];
-            this.calendarData.excludedDates = new Set();
-            this.calendarData.dateDiscounts = {};
-            this.calendarData.blockedDates = {};
+    /**
+     * Запись изменения в историю, если данные действительно изменились
+     * @param {string} label - Название действия
+     * @param {Object} before - Снимок данных до изменения
+     */
+    recordHistory(label, before) {
+        const after = this.captureState();
+        const prices = this.diffMonthData(before.basePrices, after.basePrices, before.storedMonthKeys);
+        const blocked = this.diffMonthData(before.blockedDates, after.blockedDates);
+        const rangesChanged = JSON.stringify([before.dateRanges, before.excludedDates]) !==
+            JSON.stringify([after.dateRanges, after.excludedDates]);
+        const settingsChanged = JSON.stringify(before.settings) !== JSON.stringify(after.settings);
+        if (Object.keys(prices.before).length === 0 && Object.keys(blocked.before).length === 0 &&
+            !rangesChanged && !settingsChanged) return;
+
+        // В записи остаются только изменившиеся месяцы; настройки - только если изменились
+        const entrySide = (state, side) => ({
+            basePrices: prices[side],
+            blockedDates: blocked[side],
+            dateRanges: state.dateRanges,
+            excludedDates: state.excludedDates,
+            settings: settingsChanged ? state.settings : undefined
+        });
+        this.history.record(label, entrySide(before, 'before'), entrySide(after, 'after'));
+        this.updateHistoryButtons();
+        console.log(`[UnifiedCalendarManager] Действие добавлено в историю: ${label}`);
+    }
 
-            this.tempSelection.start = null;
-            this.tempSelection.startMonth = null;
-            this.tempSelection.startYear = null;
-            this.tempSelection.isRangeConfirmed = true;
+    /**
+     * Отмена последнего действия
+     */
+    undo() {
+        const entry = this.history.undo();
+        if (!entry) {
+            console.warn('[UnifiedCalendarManager] Нет действий для отмены');
+            return;
+        }
 
-            this.clearWaitState();
+        this.restoreState(entry.before);
+        this.updateHistoryButtons();
+        console.log(`[UnifiedCalendarManager] Действие отменено: ${entry.label}`);
+    }
 
-            // Обновляем глобальные настройки с текущей ценой
-            this.calendarData.globalSettings.defaultCost = basePrice;
-            this.storage.save('calendarGlobalSettings', this.calendarData.globalSettings);
+    /**
+     * Повтор последнего отмененного действия
+     */
+    redo() {
+        const entry = this.history.redo();
+        if (!entry) {
+            console.warn('[UnifiedCalendarManager] Нет действий для повтора');
+            return;
+        }
 
-            // Обновляем цены для всех дней в текущем месяце
-            const monthKey = this.currentMonthKey;
-            if (monthKey) {
-                // Создаем новую структуру цен для текущего месяца
-                this.calendarData.basePrices[monthKey] = {
-                    prices: [],
-                    defaultCost: basePrice
-                };
-                
-                // Сохраняем обновленные данные
-                this.saveMonthData(monthKey);
-            }
+        this.restoreState(entry.after);
+        this.updateHistoryButtons();
+        console.log(`[UnifiedCalendarManager] Действие повторено: ${entry.label}`);
+    }
 
-            // Обновляем отображение цен в календаре
-            document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(day => {
-                // Очищаем классы
-                day.classList.remove('is-selected');
-                day.classList.remove('is-wait');
-                day.classList.remove('is-active');
-                day.classList.remove('is-blocked');
-                day.classList.remove('is-blocked-active');
+    /**
+     * Обновление состояния кнопок отмены и повтора
+     */
+    updateHistoryButtons() {
+        const undoButton = this.getElement('undoButton');
+        if (undoButton) {
+            undoButton.classList.toggle('is-disabled', !this.history.canUndo());
+        }
 
-                // Устанавливаем базовую цену
-                const servicePriceElement = day.querySelector('[service-price]');
-                if (servicePriceElement) {
-                    servicePriceElement.textContent = basePrice;
-                }
-            });
+        const redoButton = this.getElement('redoButton');
+        if (redoButton) {
+            redoButton.classList.toggle('is-disabled', !this.history.canRedo());
+        }
+    }
 
-            // Обновляем состояние кнопок
-            const button_open = document.querySelector('[button_open]');
-            if (button_open) {
-                button_open.classList.remove('is--add-service');
+    /**
+     * Инициализация кнопок и сочетаний клавиш для отмены и повтора
+     * Ctrl+Z (Cmd+Z) - отмена, Ctrl+Shift+Z (Cmd+Shift+Z) или Ctrl+Y - повтор
+     */
+    initHistoryHandlers() {
+        try {
+            const undoButton = this.getElement('undoButton');
+            if (undoButton) {
+                undoButton.addEventListener('click', () => this.undo());
             }
 
-            const button_block = document.querySelector('[button_block]');
-            if (button_block) {
-                button_block.classList.remove('is--add-service');
+            const redoButton = this.getElement('redoButton');
+            if (redoButton) {
+                redoButton.addEventListener('click', () => this.redo());
             }
 
-            // Очищаем выбранные даты
-            const chosenDatesElement = document.querySelector('[chosen-dates]');
-            if (chosenDatesElement) {
-                chosenDatesElement.textContent = '';
-            }
+            // Горячие клавиши относятся к календарю, с которым работали последним;
+            // пока ни с одним календарем не работали, сочетания не перехватываются
+            ['pointerdown', 'focusin'].forEach(eventName => {
+                this.root.addEventListener(eventName, () => {
+                    UnifiedCalendarManager.activeInstance = this;
+                });
+            });
 
-            this.toggleSettingsVisibility(false);
+            document.addEventListener('keydown', (event) => {
+                const key = event.key.toLowerCase();
+                if (!(event.ctrlKey || event.metaKey) || (key !== 'z' && key !== 'y')) return;
+                if (UnifiedCalendarManager.activeInstance !== this) return;
 
-            // Очищаем localStorage
-            this.storage.removeByPattern(/^monthData-/);
-            this.storage.remove('blockedDatesMap');
+                // Не перехватываем отмену ввода в текстовых полях
+                const target = event.target;
+                if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
 
-            console.log(`[UnifiedCalendarManager] Все даты очищены. Установлена базовая цена: ${basePrice}`);
+                event.preventDefault();
+                if (event.shiftKey || key === 'y') {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            });
+
+            this.updateHistoryButtons();
+            console.log('[UnifiedCalendarManager] Обработчики отмены и повтора инициализированы');
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при очистке всех дат:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при инициализации обработчиков отмены и повтора:', error);
         }
     }
 
@@ -1774,7 +4413,7 @@ class UnifiedCalendarManager {
 
         try {
             // Получаем значение скидки из поля ввода
-            const discountInput = document.getElementById('Selected-Discount');
+            const discountInput = this.getElement('discountInput');
             if (!discountInput) {
                 console.error('[UnifiedCalendarManager] Элемент ввода скидки не найден');
                 return;
@@ -1797,82 +4436,35 @@ class UnifiedCalendarManager {
 
             // Получаем базовую цену
             const basePrice = this.getBasePrice();
+
+            // Месяцы диапазона загружаются до снимка, чтобы их можно было отменить
+            const { start, end } = this.describeRange(lastRange);
+            this.ensureMonthsLoaded(start, end);
+            const historyBefore = this.captureState();
             
-            // Вычисляем цену со скидкой
+            // Цена со скидкой от базовой цены (для событий и журнала)
             const discountedPrice = this.applyDiscount(basePrice, discountValue);
             
             console.log(`[UnifiedCalendarManager] Базовая цена: ${basePrice}, Цена со скидкой: ${discountedPrice}`);
 
-            // Применяем скидку к каждому дню в диапазоне
-            const startDate = new Date(lastRange.start.timestamp);
-            const endDate = new Date(lastRange.end.timestamp);
-            
-            // Отслеживаем затронутые месяцы для сохранения данных
-            const processedMonthKeys = new Set();
-
-            // Проходим по всем дням в диапазоне
-            for (let date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
-                const day = date.getDate();
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const year = date.getFullYear();
-                const monthKey = `${year}-${month}`;
-                const dateString = this.formatDate(day, month, year);
-                const timestamp = date.getTime();
-                
-                // Добавляем месяц в список затронутых
-                processedMonthKeys.add(monthKey);
-                
-                // Проверяем, не заблокирован ли день
-                if (this.isDateBlocked(dateString, monthKey)) {
-                    console.log(`[UnifiedCalendarManager] День ${dateString} заблокирован, скидка не применяется`);
-                    continue;
-                }
-                
-                // Сохраняем скидку для этой даты
-                this.calendarData.dateDiscounts[timestamp] = discountedPrice;
-                
-                // Обновляем базовые цены в хранилище
-                if (!this.calendarData.basePrices[monthKey]) {
-                    this.calendarData.basePrices[monthKey] = {
-                        prices: [],
-                        defaultCost: basePrice
-                    };
-                }
-                
-                const prices = this.calendarData.basePrices[monthKey].prices;
-                const priceIndex = prices.findIndex(item => item.date === dateString);
-                
-                if (priceIndex !== -1) {
-                    prices[priceIndex].price = discountedPrice;
-                } else {
-                    prices.push({ date: dateString, price: discountedPrice });
-                }
-                
-                // Обновляем UI для текущего месяца
-                if (monthKey === this.currentMonthKey) {
-                    document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(dayWrapper => {
-                        const dayEl = dayWrapper.querySelector('[day]');
-                        if (dayEl && parseInt(dayEl.textContent.trim()) === day) {
-                            // Добавляем класс is-active для обозначения скидки
-                            dayWrapper.classList.add('is-active');
-                            
-                            // Обновляем отображаемую цену
-                            const servicePriceElement = dayWrapper.querySelector('[service-price]');
-                            if (servicePriceElement) {
-                                servicePriceElement.textContent = discountedPrice;
-                            }
-                        }
-                    });
-                }
-            }
+            // Скидка сохраняется отдельным слоем; заблокированные дни пропускаются
+            const processedMonthKeys = this.model.setRangeDiscount(start, end, discountValue);
 
             // Сохраняем данные для всех затронутых месяцев
             processedMonthKeys.forEach(monthKey => {
                 this.saveMonthData(monthKey);
             });
+            this.recordHistory('Скидка для диапазона', historyBefore);
+            this.loadMonthPrices();
+            this.emit(CALENDAR_EVENTS.DISCOUNT, {
+                ranges: [this.describeRange(lastRange)],
+                discount: discountValue,
+                price: discountedPrice,
+                weekends: false
+            });
 
             // Устанавливаем цвет фона для всех дней в диапазоне
-            this.setRangeBackgroundColor(lastRange.start.timestamp, lastRange.end.timestamp, '#090633');
+            this.setRangeBackgroundColor(lastRange.start.date, lastRange.end.date, '#090633');
 
             // Обновляем отображение и состояние
             this.updateAllDaysDisplay();
@@ -1885,7 +4477,7 @@ class UnifiedCalendarManager {
             this.clearWaitState();
             
             // Деактивируем режим скидки
-            const openButton = document.querySelector('[button_open]');
+            const openButton = this.getElement('openButton');
             if (openButton) {
                 openButton.classList.remove('is--add-service');
             }
@@ -1903,33 +4495,7 @@ class UnifiedCalendarManager {
      * @returns {number} - Цена со скидкой
      */
     applyDiscount(price, discount) {
-        try {
-            // Преобразуем скидку в число
-            let discountPercent = 0;
-            if (typeof discount === 'string') {
-                // Удаляем символ процента и преобразуем в число
-                discountPercent = parseFloat(discount.replace('%', ''));
-            } else {
-                discountPercent = parseFloat(discount);
-            }
-            
-            // Проверяем корректность скидки
-            if (isNaN(discountPercent)) {
-                console.error('[UnifiedCalendarManager] Некорректное значение скидки:', discount);
-                return price;
-            }
-            
-            // Ограничиваем скидку диапазоном от 0 до 100
-            discountPercent = Math.max(0, Math.min(100, discountPercent));
-            
-            // Вычисляем цену со скидкой
-            const discountedPrice = Math.round(price * (100 - discountPercent / 100));
-            
-            return discountedPrice;
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при применении скидки к цене:', error);
-            return price;
-        }
+        return this.model.applyDiscount(price, discount);
     }
 
     /**
@@ -1940,24 +4506,19 @@ class UnifiedCalendarManager {
             console.log('[UnifiedCalendarManager] Обновление отображения всех дней в календаре...');
             
             // Получаем все дни календаря
-            const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
+            const calendarDays = this.getDayWrappers(':not(.not_exist)');
             
-            // Получаем текущий год и месяц
-            const [year, month] = this.currentMonthKey.split('-').map(Number);
+            // Сегодняшний день определяется по часовому поясу объекта, а не браузера
+            const todayKey = this.model.getTodayKey();
             
             // Обновляем отображение каждого дня
             calendarDays.forEach(dayWrapper => {
-                const dayElement = dayWrapper.querySelector('[day]');
-                if (!dayElement) return;
-                
-                const day = parseInt(dayElement.textContent.trim());
-                if (isNaN(day)) return;
-                
-                // Создаем дату для текущего дня
-                const date = new Date(year, month - 1, day);
+                // Ключ даты дня (ячейки могут относиться к разным видимым месяцам)
+                const dateKey = dayWrapper.getAttribute(this.attributes.dateKey);
+                if (!dateKey) return;
                 
                 // Проверяем, является ли день выходным
-                const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+                const isWeekend = this.model.isWeekend(dateKey);
                 
                 // Добавляем класс для выходных дней
                 if (isWeekend) {
@@ -1966,35 +4527,17 @@ class UnifiedCalendarManager {
                     dayWrapper.classList.remove('weekend');
                 }
                 
-                // Проверяем, является ли день текущим
-                const today = new Date();
-                const isToday = date.getDate() === today.getDate() && 
-                                date.getMonth() === today.getMonth() && 
-                                date.getFullYear() === today.getFullYear();
-                
                 // Добавляем класс для текущего дня
-                if (isToday) {
+                if (dateKey === todayKey) {
                     dayWrapper.classList.add('today');
                 } else {
                     dayWrapper.classList.remove('today');
                 }
                 
-                // Проверяем, находится ли день в выбранном диапазоне
-                let isInSelectedRange = false;
-                
-                // Проверяем все выбранные диапазоны
-                for (const range of this.calendarData.dateRanges) {
-                    if (!range.start || !range.end) continue;
-                    
-                    const startDate = new Date(range.start.timestamp);
-                    const endDate = new Date(range.end.timestamp);
-                    
-                    // Проверяем, находится ли текущий день в диапазоне
-                    if (date >= startDate && date <= endDate) {
-                        isInSelectedRange = true;
-                        break;
-                    }
-                }
+                // Проверяем, находится ли день в одном из выбранных диапазонов
+                const isInSelectedRange = this.calendarData.dateRanges.some(range =>
+                    range.start && range.end && dateKey >= range.start.date && dateKey <= range.end.date
+                );
                 
                 // Устанавливаем цвет фона для дней в выбранном диапазоне
                 if (isInSelectedRange) {
@@ -2014,11 +4557,11 @@ class UnifiedCalendarManager {
     initHandlers() {
         try {
             // Обработчик клика по дням календаря
-            document.querySelectorAll('.calendar_day-wrapper').forEach(dayWrapper => {
+            this.getDayWrappers().forEach(dayWrapper => {
                 dayWrapper.addEventListener('click', (event) => {
                     if (dayWrapper.classList.contains('not_exist')) return;
                     
-                    const dayElement = dayWrapper.querySelector('[day]');
+                    const dayElement = this.getElement('day', dayWrapper);
                     if (!dayElement) return;
                     
                     const day = parseInt(dayElement.textContent.trim());
@@ -2029,20 +4572,26 @@ class UnifiedCalendarManager {
             });
             
             // Обработчик кнопки отмены последнего диапазона
-            const cancelButton = document.querySelector('[button_cancel], [calendar-choosen-cancel]');
+            const cancelButton = this.root.querySelector(`${this.selectors.cancelButton}, ${this.selectors.chosenCancel}`);
             if (cancelButton) {
                 cancelButton.addEventListener('click', () => this.cancelLastRange());
             }
             
             // Обработчик кнопки применения скидки или блокировки
-            const applyButton = document.querySelector('[calendar-apply-button]');
+            const applyButton = this.getElement('applyButton');
             if (applyButton) {
                 applyButton.addEventListener('click', () => {
                     // Проверяем, какое действие нужно выполнить
-                    const blockButton = document.querySelector('[button_block]');
-                    const openButton = document.querySelector('[button_open]');
+                    const blockButton = this.getElement('blockButton');
+                    const openButton = this.getElement('openButton');
+                    const unblockButton = this.getElement('unblockButton');
                     
-                    if (blockButton && blockButton.classList.contains('is--add-service')) {
+                    if (unblockButton && unblockButton.classList.contains('is--add-service')) {
+                        // Если активна кнопка открытия дат, снимаем блокировку с диапазона
+                        this.unblockSelectedRange();
+                        // Сбрасываем режим открытия дат
+                        unblockButton.classList.remove('is--add-service');
+                    } else if (blockButton && blockButton.classList.contains('is--add-service')) {
                         // Если активна кнопка блокировки, блокируем даты
                         this.blockSelectedRange();
                         // Сбрасываем режим блокировки
@@ -2060,19 +4609,23 @@ class UnifiedCalendarManager {
             }
             
             // Обработчик кнопки блокировки дат
-            const blockButton = document.querySelector('[button_block]');
+            const blockButton = this.getElement('blockButton');
             if (blockButton) {
                 blockButton.addEventListener('click', () => {
                     // Переключаем класс активности
                     blockButton.classList.toggle('is--add-service');
                     
-                    // Если кнопка активна, готовимся к блокировке и убираем активность с кнопки открытия
-                    const button_open = document.querySelector('[button_open]');
+                    // Если кнопка активна, готовимся к блокировке и убираем активность с остальных режимов
+                    const button_open = this.getElement('openButton');
+                    const button_unblock = this.getElement('unblockButton');
                     if (blockButton.classList.contains('is--add-service')) {
                         console.log('[UnifiedCalendarManager] Режим блокировки дат активирован');
                         if (button_open) {
                             button_open.classList.remove('is--add-service');
                         }
+                        if (button_unblock) {
+                            button_unblock.classList.remove('is--add-service');
+                        }
                     } else {
                         console.log('[UnifiedCalendarManager] Режим блокировки дат деактивирован');
                     }
@@ -2080,32 +4633,85 @@ class UnifiedCalendarManager {
             }
             
             // Обработчик кнопки открытия (скидки)
-            const openButton = document.querySelector('[button_open]');
+            const openButton = this.getElement('openButton');
             if (openButton) {
                 openButton.addEventListener('click', () => {
                     // Переключаем класс активности
                     openButton.classList.toggle('is--add-service');
                     
-                    // Если кнопка активна, готовимся к скидке и убираем активность с кнопки блокировки
+                    // Если кнопка активна, готовимся к скидке и убираем активность с остальных режимов
+                    const button_unblock = this.getElement('unblockButton');
                     if (openButton.classList.contains('is--add-service')) {
                         console.log('[UnifiedCalendarManager] Режим скидки активирован');
                         if (blockButton) {
                             blockButton.classList.remove('is--add-service');
                         }
+                        if (button_unblock) {
+                            button_unblock.classList.remove('is--add-service');
+                        }
                     } else {
                         console.log('[UnifiedCalendarManager] Режим скидки деактивирован');
                     }
                 });
             }
             
+            // Обработчик кнопки открытия заблокированных дат
+            const unblockButton = this.getElement('unblockButton');
+            if (unblockButton) {
+                unblockButton.addEventListener('click', () => {
+                    // Переключаем класс активности
+                    unblockButton.classList.toggle('is--add-service');
+                    
+                    // Если кнопка активна, выбор заблокированных дней разрешен; остальные режимы выключаются
+                    if (unblockButton.classList.contains('is--add-service')) {
+                        console.log('[UnifiedCalendarManager] Режим открытия дат активирован');
+                        if (blockButton) {
+                            blockButton.classList.remove('is--add-service');
+                        }
+                        if (openButton) {
+                            openButton.classList.remove('is--add-service');
+                        }
+                    } else {
+                        console.log('[UnifiedCalendarManager] Режим открытия дат деактивирован');
+                    }
+                });
+            }
+            
             // Обработчик кнопки очистки всех дат
-            const clearButton = document.querySelector('[button_clear]');
+            const clearButton = this.getElement('clearButton');
             if (clearButton) {
                 clearButton.addEventListener('click', () => this.clearAllDates());
             }
             
+            // Обработчик кнопки экспорта в iCalendar
+            const exportButton = this.getElement('exportIcsButton');
+            if (exportButton) {
+                exportButton.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    this.downloadICalendar('calendar.ics', {
+                        includePrices: exportButton.hasAttribute(this.attributes.exportPrices)
+                    });
+                });
+            }
+            
+            // Обработчик поля загрузки файла iCalendar (значение атрибута - источник импорта)
+            this.getElements('importIcsInput').forEach(importInput => {
+                importInput.addEventListener('change', () => {
+                    const file = importInput.files && importInput.files[0];
+                    if (!file) return;
+                    
+                    const source = importInput.getAttribute(this.attributes.importSource) || file.name;
+                    file.text().then(text => {
+                        this.importICalendar(text, source);
+                        importInput.value = '';
+                    }).catch(error => {
+                        console.error('[UnifiedCalendarManager] Ошибка чтения файла iCalendar:', error);
+                    });
+                });
+            });
+            
             // Обработчик элемента с атрибутом clear-dates
-            const clearDatesElement = document.querySelector('[clear-dates]');
+            const clearDatesElement = this.getElement('clearDates');
             if (clearDatesElement) {
                 clearDatesElement.addEventListener('click', () => {
                     this.clearAllDates();
@@ -2113,61 +4719,58 @@ class UnifiedCalendarManager {
                 });
             }
             
-            // Обработчик изменения базовой цены
-            const costInput = document.querySelector('input[name="cost_per_hour"]');
-            if (costInput) {
-                costInput.addEventListener('change', () => {
+            // Обработчики изменения базовой цены: цены обновляются при вводе,
+            // а в историю попадает одна запись - при подтверждении значения (change)
+            ['costPerHourInput', 'basePriceInput'].forEach(name => {
+                const costInput = this.getElement(name);
+                if (!costInput) return;
+
+                // Снимок берется при фокусе, пока поле содержит прежнюю цену: она действует
+                // вместо settings.defaultPrice (см. getBasePrice) и должна вернуться при отмене
+                costInput.addEventListener('focus', () => {
+                    if (this.basePriceHistoryBefore) return;
+                    this.basePriceHistoryBefore = this.captureState();
+                    this.basePriceHistoryBefore.settings.defaultPrice = this.getBasePrice();
+                });
+
+                costInput.addEventListener('input', () => {
+                    if (!this.basePriceHistoryBefore) {
+                        this.basePriceHistoryBefore = this.captureState();
+                    }
                     this.saveGlobalSettings();
                     this.updateAllDaysDisplay();
                 });
-                
-                // Также добавляем обработчик для события input, чтобы обновлять при вводе
-                costInput.addEventListener('input', () => {
+
+                costInput.addEventListener('change', () => {
+                    const historyBefore = this.basePriceHistoryBefore || this.captureState();
+                    this.basePriceHistoryBefore = null;
                     this.saveGlobalSettings();
                     this.updateAllDaysDisplay();
+                    this.recordHistory('Базовая цена', historyBefore);
                 });
-            }
-            
-            // Обработчик чекбокса скидки для выходных дней
-            const weekendDiscountCheckbox = document.querySelector('input[type="checkbox"][name="Weekend-Discount"]');
-            if (weekendDiscountCheckbox) {
-                console.log('[UnifiedCalendarManager] Найден чекбокс скидки для выходных дней');
-                
-                // Проверяем начальное состояние чекбокса и устанавливаем видимость поля ввода
-                const isChecked = weekendDiscountCheckbox.checked;
-                console.log(`[UnifiedCalendarManager] Начальное состояние чекбокса: ${isChecked ? 'включен' : 'выключен'}`);
-                this.toggleWeekendDiscountInput(isChecked);
-                
-                // Добавляем обработчик события change
-                weekendDiscountCheckbox.addEventListener('change', (event) => {
-                    const isCheckedNow = event.target.checked;
-                    console.log(`[UnifiedCalendarManager] Состояние чекбокса изменено: ${isCheckedNow ? 'включен' : 'выключен'}`);
-                    
-                    // Переключаем видимость поля ввода скидки
-                    this.toggleWeekendDiscountInput(isCheckedNow);
-                    
-                    // Если чекбокс выключен, сбрасываем скидки для выходных дней
-                    if (!isCheckedNow) {
-                        this.resetWeekendDiscounts();
-                    } else {
-                        // Если чекбокс включен и есть значение скидки, применяем его
-                        const weekendDiscountInput = document.querySelector('input[weekend_discount]');
-                        if (weekendDiscountInput && weekendDiscountInput.value) {
-                            this.applyWeekendDiscount(weekendDiscountInput.value);
-                        }
-                    }
+
+                // Фокус без изменения значения не должен оставлять устаревший снимок
+                costInput.addEventListener('blur', () => {
+                    this.basePriceHistoryBefore = null;
                 });
-                
-                // Также проверяем состояние при загрузке страницы
-                if (isChecked) {
-                    this.toggleWeekendDiscountInput(true);
-                    const weekendDiscountInput = document.querySelector('input[weekend_discount]');
-                    if (weekendDiscountInput && weekendDiscountInput.value) {
-                        this.applyWeekendDiscount(weekendDiscountInput.value);
-                    }
-                }
-            } else {
-                console.warn('[UnifiedCalendarManager] Чекбокс скидки для выходных дней не найден');
+            });
+            
+            // Обработчики цен по дням недели и выбора выходных дней
+            this.initWeekdayHandlers();
+
+            // Обработчики полей валюты
+            this.initCurrencyHandlers();
+            
+            // Обработчик выбора первого дня недели
+            const weekStartInput = this.getElement('weekStartInput');
+            if (weekStartInput) {
+                weekStartInput.addEventListener('change', () => this.setWeekStart(weekStartInput.value));
+            }
+
+            // Обработчик изменения часового пояса объекта
+            const timezoneInput = this.getElement('timezoneInput');
+            if (timezoneInput) {
+                timezoneInput.addEventListener('change', () => this.setTimezone(timezoneInput.value));
             }
             
             // Обработчики для эффекта hover при выборе диапазона
@@ -2176,7 +4779,7 @@ class UnifiedCalendarManager {
             console.log('[UnifiedCalendarManager] Инициализация обработчиков событий');
             
             // Обработчик кнопки отмены выбора диапазона
-            const cancelRangeButton = document.querySelector('[calendar-choosen-cancel]');
+            const cancelRangeButton = this.getElement('chosenCancel');
             if (cancelRangeButton) {
                 cancelRangeButton.addEventListener('click', () => {
                     // Скрываем элемент с выбранными датами
@@ -2197,6 +4800,18 @@ class UnifiedCalendarManager {
             
             // Обработчики кнопок переключения месяцев
             this.initMonthSwitchHandlers();
+            
+            // Обработчики отмены и повтора действий
+            this.initHistoryHandlers();
+            
+            // Обработчики правил ценообразования
+            this.initPricingRuleHandlers();
+            
+            // Обработчики ручной цены и удаления слоев цены
+            this.initPriceLayerHandlers();
+
+            // Подсказка с разбором цены дня
+            this.initPriceTooltipHandlers();
         } catch (error) {
             console.error('[UnifiedCalendarManager] Ошибка при инициализации обработчиков:', error);
         }
@@ -2210,8 +4825,8 @@ class UnifiedCalendarManager {
             console.log('[UnifiedCalendarManager] Инициализация обработчиков кнопок переключения месяцев...');
             
             // Находим все элементы, которые могут быть кнопками переключения месяцев
-            const allPrevButtons = document.querySelectorAll('.calendar_prev, [calendar-prev]');
-            const allNextButtons = document.querySelectorAll('.calendar_next, [calendar-next]');
+            const allPrevButtons = this.getElements('prevButton');
+            const allNextButtons = this.getElements('nextButton');
             
             console.log(`[UnifiedCalendarManager] Найдено ${allPrevButtons.length} кнопок предыдущего месяца и ${allNextButtons.length} кнопок следующего месяца`);
             
@@ -2244,7 +4859,7 @@ class UnifiedCalendarManager {
             });
             
             // Также добавляем обработчики для дочерних элементов кнопок
-            document.querySelectorAll('.calendar_prev *, [calendar-prev] *').forEach((element, index) => {
+            this.getDescendants('prevButton').forEach((element, index) => {
                 element.onclick = (event) => {
                     event.preventDefault();
                     event.stopPropagation();
@@ -2254,7 +4869,7 @@ class UnifiedCalendarManager {
                 };
             });
             
-            document.querySelectorAll('.calendar_next *, [calendar-next] *').forEach((element, index) => {
+            this.getDescendants('nextButton').forEach((element, index) => {
                 element.onclick = (event) => {
                     event.preventDefault();
                     event.stopPropagation();
@@ -2291,17 +4906,19 @@ class UnifiedCalendarManager {
             }
             
             // Формируем ключ предыдущего месяца
-            const prevMonthKey = `${prevYear}-${prevMonth}`;
+            const prevMonthKey = `${prevYear}-${String(prevMonth).padStart(2, '0')}`;
             console.log(`[UnifiedCalendarManager] Ключ предыдущего месяца: ${prevMonthKey}`);
             
             // Загружаем данные предыдущего месяца
             this.loadMonthData(prevMonthKey);
             
             // Обновляем текущий месяц
+            const previousMonthKey = this.currentMonthKey;
             this.currentMonthKey = prevMonthKey;
             
             // Обновляем календарь
             this.updateCalendar();
+            this.emit(CALENDAR_EVENTS.MONTH_CHANGE, { monthKey: prevMonthKey, previousMonthKey, monthKeys: this.getVisibleMonthKeys() });
             
             console.log(`[UnifiedCalendarManager] Переключено на месяц ${prevMonthKey}`);
         } catch (error) {
@@ -2330,17 +4947,19 @@ class UnifiedCalendarManager {
             }
             
             // Формируем ключ следующего месяца
-            const nextMonthKey = `${nextYear}-${nextMonth}`;
+            const nextMonthKey = `${nextYear}-${String(nextMonth).padStart(2, '0')}`;
             console.log(`[UnifiedCalendarManager] Ключ следующего месяца: ${nextMonthKey}`);
             
             // Загружаем данные следующего месяца
             this.loadMonthData(nextMonthKey);
             
             // Обновляем текущий месяц
+            const previousMonthKey = this.currentMonthKey;
             this.currentMonthKey = nextMonthKey;
             
             // Обновляем календарь
             this.updateCalendar();
+            this.emit(CALENDAR_EVENTS.MONTH_CHANGE, { monthKey: nextMonthKey, previousMonthKey, monthKeys: this.getVisibleMonthKeys() });
             
             console.log(`[UnifiedCalendarManager] Переключено на месяц ${nextMonthKey}`);
         } catch (error) {
@@ -2348,14 +4967,40 @@ class UnifiedCalendarManager {
         }
     }
 
+    /**
+     * Переход к произвольному месяцу (например, по клику в годовом обзоре)
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     */
+    goToMonth(monthKey) {
+        try {
+            if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(monthKey))) {
+                console.error(`[UnifiedCalendarManager] Неверный формат ключа месяца: ${monthKey}`);
+                return;
+            }
+            if (monthKey === this.currentMonthKey) return;
+
+            this.loadMonthData(monthKey);
+
+            const previousMonthKey = this.currentMonthKey;
+            this.currentMonthKey = monthKey;
+
+            this.updateCalendar();
+            this.emit(CALENDAR_EVENTS.MONTH_CHANGE, { monthKey, previousMonthKey, monthKeys: this.getVisibleMonthKeys() });
+
+            console.log(`[UnifiedCalendarManager] Переключено на месяц ${monthKey}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при переходе к месяцу:', error);
+        }
+    }
+
     /**
      * Обновление заголовка месяца
      */
     updateMonthTitle() {
         try {
-            // Находим элемент заголовка месяца
-            const monthTitleElement = document.querySelector('[calendar-month]');
-            if (!monthTitleElement) {
+            // Находим элементы заголовка месяца
+            const titleElements = [this.getElement('monthTitle'), this.getElement('currentMonthYear')].filter(Boolean);
+            if (titleElements.length === 0) {
                 console.warn('[UnifiedCalendarManager] Элемент заголовка месяца не найден');
                 return;
             }
@@ -2363,92 +5008,138 @@ class UnifiedCalendarManager {
             // Получаем текущий год и месяц
             const [year, month] = this.currentMonthKey.split('-').map(Number);
             
-            // Получаем название месяца
-            const monthName = this.getMonthNameNominative(month - 1);
-            
-            // Обновляем заголовок
-            monthTitleElement.textContent = `${monthName} ${year}`;
+            // Заголовок месяца в локали календаря (состояние берется из currentMonthKey, а не из текста)
+            const monthTitle = this.formatMonthTitle(year, month);
+            titleElements.forEach(element => {
+                element.textContent = monthTitle;
+            });
             
-            console.log(`[UnifiedCalendarManager] Заголовок месяца обновлен: ${monthName} ${year}`);
+            console.log(`[UnifiedCalendarManager] Заголовок месяца обновлен: ${monthTitle}`);
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при обновлении заголовка месяца:', error);
+        }
+    }
+
+    /**
+     * Отрисовка годового обзора: 12 мини-месяцев года отображаемого месяца
+     * Дни получают отметки блокировок по категориям и уровень цены (price-heat 0-4)
+     * относительно минимальной и максимальной цены свободных дней года.
+     * Клик по мини-месяцу открывает его в основной сетке.
+     */
+    renderYearView() {
+        const yearView = this.getElement('yearView');
+        if (!yearView) return;
+
+        try {
+            const year = Number(this.currentMonthKey.split('-')[0]);
+            const visibleMonthKeys = this.getVisibleMonthKeys();
+            // Сегодняшняя дата вычисляется один раз на отрисовку, а не для каждого дня
+            const todayKey = this.model.getTodayKey();
+            const weekStart = this.getWeekStart();
+
+            // Месяцы года, которых еще нет в памяти, читаются из хранилища один раз
+            for (let month = 1; month <= 12; month++) {
+                const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+                if (this.calendarData.basePrices[monthKey]) continue;
+
+                const monthData = this.loadStoredMonthData(monthKey);
+                if (monthData) {
+                    this.calendarData.basePrices[monthKey] = monthData;
+                }
+            }
+
+            // Сначала собираем дни года с ценами, чтобы определить границы шкалы
+            const months = [];
+            const freePrices = [];
+            for (let month = 1; month <= 12; month++) {
+                const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+                const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+                const days = [];
+
+                for (let day = 1; day <= daysInMonth; day++) {
+                    const dateKey = this.formatDate(day, month, year);
+                    const blockedItem = this.isDateBlocked(dateKey, monthKey) ? this.model.getBlockedItem(dateKey, monthKey) : null;
+                    const price = blockedItem ? null : this.model.getPriceLayers(dateKey, this.calendarData.basePrices[monthKey], todayKey).price;
+                    if (price !== null) freePrices.push(price);
+                    days.push({ day, dateKey, blockedItem, price });
+                }
+                months.push({ month, monthKey, days });
+            }
+
+            const minPrice = Math.min(...freePrices);
+            const priceSpan = Math.max(...freePrices) - minPrice;
+
+            yearView.textContent = '';
+            months.forEach(({ month, monthKey, days }) => {
+                const monthElement = document.createElement('div');
+                monthElement.className = 'calendar_year-month';
+                monthElement.setAttribute(this.attributes.yearMonth, monthKey);
+                monthElement.classList.toggle('is-visible', visibleMonthKeys.includes(monthKey));
+
+                const title = document.createElement('div');
+                title.className = 'calendar_year-title';
+                title.textContent = this.formatMonthTitle(year, month);
+                monthElement.appendChild(title);
+
+                const grid = document.createElement('div');
+                grid.className = 'calendar_year-days';
+
+                // Пустые ячейки перед первым днем с учетом первого дня недели
+                const leadingBlanks = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() - weekStart + 7) % 7;
+                for (let i = 0; i < leadingBlanks; i++) {
+                    const blank = document.createElement('span');
+                    blank.className = 'calendar_year-day not_exist';
+                    grid.appendChild(blank);
+                }
+
+                days.forEach(({ day, dateKey, blockedItem, price }) => {
+                    const dayElement = document.createElement('span');
+                    dayElement.className = 'calendar_year-day';
+                    dayElement.textContent = day;
+                    dayElement.setAttribute(this.attributes.dateKey, dateKey);
+
+                    if (blockedItem) {
+                        dayElement.classList.add('is-blocked');
+                        if (this.isBlockCategoryVisible(blockedItem.category)) {
+                            dayElement.classList.add(`is-blocked--${blockedItem.category}`);
+                            dayElement.style.backgroundColor = this.getBlockCategoryStyle(blockedItem.category).color;
+                        }
+                    } else {
+                        // При одинаковых ценах всем дням достается средний уровень
+                        const heat = priceSpan > 0 ? Math.round((price - minPrice) / priceSpan * 4) : 2;
+                        dayElement.setAttribute(this.attributes.priceHeat, String(heat));
+                        dayElement.classList.add(`heat-${heat}`);
+                    }
+
+                    dayElement.classList.toggle('today', dateKey === todayKey);
+                    dayElement.classList.toggle('is-selected', this.isDateInRanges({ date: dateKey }));
+                    grid.appendChild(dayElement);
+                });
+
+                monthElement.appendChild(grid);
+                monthElement.addEventListener('click', () => this.goToMonth(monthKey));
+                yearView.appendChild(monthElement);
+            });
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при обновлении заголовка месяца:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при отрисовке годового обзора:', error);
         }
     }
 
-    /**
-     * Получение названия месяца в именительном падеже
-     * @param {number} monthIndex - Индекс месяца (0-11)
-     * @returns {string} - Название месяца
-     */
-    getMonthNameNominative(monthIndex) {
-        const monthNames = [
-            'Январь', 'Февраль', 'Март', 'Апрель', 'Май', 'Июнь',
-            'Июль', 'Август', 'Сентябрь', 'Октябрь', 'Ноябрь', 'Декабрь'
-        ];
-        
-        return monthNames[monthIndex];
-    }
-
     /**
      * Инициализация обработчиков для эффекта hover при выборе диапазона
+     * Вызывается один раз: на каждую сетку месяца вешается один делегированный обработчик,
+     * поэтому перерисовка и переключение месяцев не добавляют новых обработчиков.
      */
     initHoverEffectHandlers() {
         try {
-            console.log('[UnifiedCalendarManager] Инициализация обработчиков для эффекта hover...');
-            
-            // Функция для добавления обработчиков к дням календаря
-            const addHoverHandlers = () => {
-                // Получаем все дни календаря
-                const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
-                console.log(`[UnifiedCalendarManager] Найдено ${calendarDays.length} дней календаря`);
-                
-                // Добавляем обработчики событий mouseenter для каждого дня
-                calendarDays.forEach(dayWrapper => {
-                    // Удаляем предыдущие обработчики, чтобы избежать дублирования
-                    dayWrapper.removeEventListener('mouseenter', this.handleDayHover);
-                    
-                    // Добавляем новый обработчик
-                    dayWrapper.addEventListener('mouseenter', this.handleDayHover.bind(this));
-                    
-                    // Добавляем атрибут для отладки
-                    dayWrapper.setAttribute('data-has-hover', 'true');
-                });
-                
-                // Обработчик события mouseleave для всего календаря
-                const calendar = document.querySelector('.calendar_wrapper');
-                if (calendar) {
-                    // Удаляем предыдущий обработчик
-                    calendar.removeEventListener('mouseleave', this.handleCalendarLeave);
-                    
-                    // Добавляем новый обработчик
-                    calendar.addEventListener('mouseleave', this.handleCalendarLeave.bind(this));
-                    
-                    // Добавляем атрибут для отладки
-                    calendar.setAttribute('data-has-leave', 'true');
-                }
-                
-                console.log('[UnifiedCalendarManager] Обработчики для эффекта hover добавлены');
-            };
-            
-            // Добавляем обработчики сразу
-            addHoverHandlers();
-            
-            // Также добавляем обработчики при изменении месяца
-            const prevMonthButton = document.querySelector('[calendar-prev]');
-            const nextMonthButton = document.querySelector('[calendar-next]');
-            
-            if (prevMonthButton) {
-                prevMonthButton.addEventListener('click', () => {
-                    // Добавляем небольшую задержку, чтобы DOM успел обновиться
-                    setTimeout(addHoverHandlers, 100);
-                });
-            }
+            this.getMonthGrids().forEach(grid => {
+                grid.addEventListener('mouseover', (event) => this.handleDayHover(event));
+            });
             
-            if (nextMonthButton) {
-                nextMonthButton.addEventListener('click', () => {
-                    // Добавляем небольшую задержку, чтобы DOM успел обновиться
-                    setTimeout(addHoverHandlers, 100);
-                });
+            // Обработчик события mouseleave для всего календаря
+            const calendar = this.getElement('calendarWrapper');
+            if (calendar) {
+                calendar.addEventListener('mouseleave', () => this.handleCalendarLeave());
             }
             
             console.log('[UnifiedCalendarManager] Обработчики для эффекта hover при выборе диапазона инициализированы');
@@ -2458,61 +5149,36 @@ class UnifiedCalendarManager {
     }
 
     /**
-     * Обработчик события mouseenter для дня календаря
-     * @param {Event} event - Событие mouseenter
+     * Обработчик события mouseover для сетки месяца
+     * @param {Event} event - Событие mouseover (делегируется от ячеек дней)
      */
     handleDayHover(event) {
         try {
             // Если не начат выбор диапазона, ничего не делаем
-            if (this.tempSelection.isRangeConfirmed) {
+            const startDate = this.getPendingStartDate();
+            if (!startDate) {
                 return;
             }
             
-            // Получаем элемент дня
-            const dayWrapper = event.currentTarget;
-            
-            // Получаем день, на который наведен курсор
-            const dayEl = dayWrapper.querySelector('[day]');
-            if (!dayEl) {
+            // Переходы между вложенными элементами одного дня пропускаем
+            const dayWrapper = event.target.closest(this.selectors.dayWrapper);
+            if (!dayWrapper || (event.relatedTarget && dayWrapper.contains(event.relatedTarget))) {
                 return;
             }
             
-            const currentDay = parseInt(dayEl.textContent.trim());
-            const startDay = this.tempSelection.start;
-            
-            console.log(`[UnifiedCalendarManager] Наведение на день ${currentDay}, начальный день: ${startDay}`);
-            
-            // Если начальный день не выбран или текущий день равен начальному, ничего не делаем
-            if (!startDay || currentDay === startDay) {
+            // Получаем дату дня, на который наведен курсор
+            const hoveredDate = this.getDayWrapperDate(dayWrapper);
+            if (!hoveredDate) {
                 return;
             }
             
-            // Очищаем предыдущий предварительный выбор
-            this.clearHoverEffect();
+            // Если текущий день равен начальному, ничего не делаем
+            if (hoveredDate.date === startDate.date) {
+                return;
+            }
             
-            // Определяем диапазон дней для подсветки
-            const minDay = Math.min(startDay, currentDay);
-            const maxDay = Math.max(startDay, currentDay);
-            
-            console.log(`[UnifiedCalendarManager] Подсветка диапазона: ${minDay}-${maxDay}`);
-            
-            // Подсвечиваем все дни в диапазоне
-            document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(day => {
-                const dayElement = day.querySelector('[day]');
-                if (dayElement) {
-                    const dayNum = parseInt(dayElement.textContent.trim());
-                    if (dayNum >= minDay && dayNum <= maxDay) {
-                        // Используем цвет #EAECF0 для эффекта hover
-                        if (dayNum === startDay) {
-                            // Для начального дня оставляем цвет #090633
-                            day.style.backgroundColor = '#090633';
-                        } else {
-                            day.style.backgroundColor = '#EAECF0';
-                        }
-                        day.classList.add('hover-selected');
-                    }
-                }
-            });
+            // Подсвечиваем диапазон (начало может находиться в другом месяце)
+            this.highlightRange(startDate.date, hoveredDate.date);
         } catch (error) {
             console.error('[UnifiedCalendarManager] Ошибка при обработке наведения на день:', error);
         }
@@ -2543,7 +5209,7 @@ class UnifiedCalendarManager {
     clearHoverEffect() {
         try {
             // Получаем все дни с классом hover-selected
-            const selectedDays = document.querySelectorAll('.calendar_day-wrapper.hover-selected');
+            const selectedDays = this.getDayWrappers('.hover-selected');
             
             // Удаляем стиль backgroundColor и класс hover-selected
             selectedDays.forEach(day => {
@@ -2564,24 +5230,22 @@ class UnifiedCalendarManager {
      */
     handleDayClick(day, dayWrapper) {
         try {
-            const monthYearElement = document.querySelector('[current_month_year]');
-            if (!monthYearElement) return;
-            
-            const [monthName, year] = monthYearElement.textContent.trim().split(' ');
-            if (!monthName || !year || !MONTH_MAP[monthName]) return;
-            
-            const monthNum = MONTH_MAP[monthName];
-            const yearNum = parseInt(year);
-            
-            // Создаем объект даты
-            const fullDate = this.createFullDate(day, monthName, yearNum);
+            // Дата берется из ячейки (при нескольких видимых месяцах), иначе - из отображаемого месяца
+            const [year, month] = this.currentMonthKey.split('-');
+            const fullDate = (dayWrapper && this.getDayWrapperDate(dayWrapper)) ||
+                this.createFullDate(day, month.padStart(2, '0'), parseInt(year));
             if (!fullDate) return;
             
+            day = fullDate.day;
+            const monthNum = fullDate.month;
+            const yearNum = parseInt(fullDate.year);
+            
             // Проверяем, заблокирована ли дата
-            const dateString = this.formatDate(day, monthNum, yearNum);
+            const dateString = fullDate.date;
             const monthYearKey = `${yearNum}-${monthNum}`;
             
-            if (this.isDateBlocked(dateString, monthYearKey)) {
+            // В режиме открытия дат заблокированные дни можно выбирать
+            if (this.isDateBlocked(dateString, monthYearKey) && !this.isUnblockMode()) {
                 console.log(`[UnifiedCalendarManager] День ${dateString} заблокирован`);
                 return;
             }
@@ -2590,7 +5254,7 @@ class UnifiedCalendarManager {
             if (this.tempSelection.isRangeConfirmed) {
                 // Начинаем новый диапазон
                 this.tempSelection.start = day;
-                this.tempSelection.startMonth = monthName;
+                this.tempSelection.startMonth = monthNum;
                 this.tempSelection.startYear = yearNum;
                 this.tempSelection.isRangeConfirmed = false;
                 
@@ -2603,41 +5267,27 @@ class UnifiedCalendarManager {
                 // Очищаем предыдущий предварительный выбор
                 this.clearHoverEffect();
                 
-                console.log(`[UnifiedCalendarManager] Начало диапазона: ${day} ${monthName} ${yearNum}`);
+                console.log(`[UnifiedCalendarManager] Начало диапазона: ${dateString}`);
                 
                 // Устанавливаем цвет фона для выбранного дня
                 dayWrapper.style.backgroundColor = '#090633';
             } else {
-                // Это второй клик, завершаем диапазон
-                const startDay = this.tempSelection.start;
-                const startMonth = this.tempSelection.startMonth;
-                const startYear = this.tempSelection.startYear;
-                
-                // Проверяем, что выбор в том же месяце
-                if (startMonth !== monthName || startYear !== yearNum) {
-                    console.warn('[UnifiedCalendarManager] Выбор диапазона между разными месяцами не поддерживается');
+                // Это второй клик, завершаем диапазон (начало может быть в другом месяце)
+                const pendingStart = this.getPendingStartDate();
+                if (!pendingStart) {
+                    console.error('[UnifiedCalendarManager] Ошибка создания объектов дат для диапазона');
                     this.clearWaitState();
                     this.tempSelection.isRangeConfirmed = true;
                     return;
                 }
                 
                 // Определяем начало и конец диапазона
-                const rangeStart = Math.min(startDay, day);
-                const rangeEnd = Math.max(startDay, day);
-                
-                // Создаем объекты дат для диапазона
-                const startDate = this.createFullDate(rangeStart, monthName, yearNum);
-                const endDate = this.createFullDate(rangeEnd, monthName, yearNum);
-                
-                if (!startDate || !endDate) {
-                    console.error('[UnifiedCalendarManager] Ошибка создания объектов дат для диапазона');
-                    this.clearWaitState();
-                    this.tempSelection.isRangeConfirmed = true;
-                    return;
-                }
+                const [startDate, endDate] = pendingStart.date <= fullDate.date
+                    ? [pendingStart, fullDate]
+                    : [fullDate, pendingStart];
                 
                 // Проверяем пересечение с существующими диапазонами
-                if (this.isRangeOverlap(startDate.timestamp, endDate.timestamp)) {
+                if (this.isRangeOverlap(startDate.date, endDate.date)) {
                     console.warn('[UnifiedCalendarManager] Диапазон пересекается с существующими');
                     this.clearWaitState();
                     this.tempSelection.isRangeConfirmed = true;
@@ -2645,20 +5295,23 @@ class UnifiedCalendarManager {
                 }
                 
                 // Добавляем новый диапазон
-                this.calendarData.dateRanges.push({
+                const newRange = {
                     start: startDate,
                     end: endDate
+                };
+                this.calendarData.dateRanges.push(newRange);
+                this.emit(CALENDAR_EVENTS.RANGE_SELECT, {
+                    range: this.describeRange(newRange),
+                    ranges: this.calendarData.dateRanges.map(range => this.describeRange(range))
                 });
                 
-                // Отмечаем дни в диапазоне как выбранные
-                for (let d = rangeStart; d <= rangeEnd; d++) {
-                    document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(wrapper => {
-                        const dayEl = wrapper.querySelector('[day]');
-                        if (dayEl && parseInt(dayEl.textContent.trim()) === d) {
-                            wrapper.classList.add('is-selected');
-                        }
-                    });
-                }
+                // Сбрасываем состояние ожидания
+                this.clearWaitState();
+                this.clearHoverEffect();
+                this.tempSelection.isRangeConfirmed = true;
+                
+                // Отмечаем дни отображаемого месяца, попадающие в диапазон
+                this.refreshSelectionState();
                 
                 // Обновляем отображение выбранных дат
                 this.updateChosenDatesDisplay();
@@ -2667,16 +5320,12 @@ class UnifiedCalendarManager {
                 this.toggleSettingsVisibility(true);
                 
                 // Активируем кнопку добавления услуги
-                const button_open = document.querySelector('[button_open]');
+                const button_open = this.getElement('openButton');
                 if (button_open) {
                     button_open.classList.add('is--add-service');
                 }
                 
-                // Сбрасываем состояние ожидания
-                this.clearWaitState();
-                this.tempSelection.isRangeConfirmed = true;
-                
-                console.log(`[UnifiedCalendarManager] Диапазон выбран: ${rangeStart}-${rangeEnd} ${monthName} ${yearNum}`);
+                console.log(`[UnifiedCalendarManager] Диапазон выбран: ${this.formatDateRange({ start: startDate, end: endDate })}`);
             }
         } catch (error) {
             console.error('[UnifiedCalendarManager] Ошибка при обработке клика по дню:', error);
@@ -2693,159 +5342,22 @@ class UnifiedCalendarManager {
     ensureBasePrices(monthKey) {
         if (!monthKey) return;
         
-        const [year, month] = monthKey.split('-');
-        const daysInMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
-        const basePrice = this.getBasePrice();
-        
-        if (!this.calendarData.basePrices[monthKey]) {
-            this.calendarData.basePrices[monthKey] = {
-                prices: [],
-                defaultCost: basePrice
-            };
-        }
-        
-        // Проверяем, есть ли цены для всех дней месяца
-        const prices = this.calendarData.basePrices[monthKey].prices;
-        
-        for (let day = 1; day <= daysInMonth; day++) {
-            const dateString = this.formatDate(day, month, year);
-            const existingPrice = prices.find(item => item.date === dateString);
-            
-            if (!existingPrice) {
-                prices.push({
-                    date: dateString,
-                    price: basePrice
-                });
-            }
-        }
-        
+        this.model.ensureBasePrices(monthKey);
         console.log(`[UnifiedCalendarManager] Базовые цены для месяца ${monthKey} обеспечены`);
     }
 
     /**
-     * Переключение видимости поля ввода скидки для выходных дней
-     * @param {boolean} show - Показать или скрыть поле ввода
-     */
-    toggleWeekendDiscountInput(show) {
-        try {
-            // Находим поле ввода по атрибуту weekend_discount
-            const weekendDiscountInput = document.querySelector('input[weekend_discount]');
-            
-            if (!weekendDiscountInput) {
-                console.warn('[UnifiedCalendarManager] Поле ввода скидки для выходных дней не найдено');
-                return;
-            }
-            
-            console.log(`[UnifiedCalendarManager] Переключение видимости поля ввода скидки для выходных дней: ${show ? 'показать' : 'скрыть'}`);
-            
-            if (show) {
-                weekendDiscountInput.style.display = 'block';
-                console.log('[UnifiedCalendarManager] Поле ввода скидки для выходных дней отображено');
-            } else {
-                weekendDiscountInput.style.display = 'none';
-                console.log('[UnifiedCalendarManager] Поле ввода скидки для выходных дней скрыто');
-            }
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при переключении видимости поля ввода скидки для выходных дней:', error);
-        }
-    }
-
-    /**
-     * Проверка состояния чекбокса скидки для выходных дней
-     */
-    checkWeekendDiscountCheckbox() {
-        try {
-            // Находим чекбокс по имени и типу
-            const weekendDiscountCheckbox = document.querySelector('input[type="checkbox"][name="Weekend-Discount"]');
-            
-            if (weekendDiscountCheckbox) {
-                // Проверяем состояние чекбокса
-                const isChecked = weekendDiscountCheckbox.checked;
-                
-                console.log(`[UnifiedCalendarManager] Проверка состояния чекбокса скидки для выходных дней: ${isChecked ? 'включен' : 'выключен'}`);
-                
-                // Переключаем видимость поля ввода скидки
-                this.toggleWeekendDiscountInput(isChecked);
-            } else {
-                console.warn('[UnifiedCalendarManager] Чекбокс скидки для выходных дней не найден при проверке');
-            }
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при проверке состояния чекбокса скидки для выходных дней:', error);
-        }
-    }
-
-    /**
-     * Сброс скидок для выходных дней
+     * Сброс цен дней недели для выходных дней
      */
     resetWeekendDiscounts() {
-        try {
-            const monthKey = this.currentMonthKey;
-            if (!monthKey) {
-                console.error('[UnifiedCalendarManager] Не определен текущий месяц');
-                return;
-            }
-            
-            const [year, month] = monthKey.split('-');
-            const basePrice = this.getBasePrice();
-            
-            console.log(`[UnifiedCalendarManager] Сброс скидок для выходных дней в месяце ${monthKey}`);
-            
-            // Получаем количество дней в месяце
-            const daysInMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
-            
-            // Проходим по всем дням месяца
-            for (let day = 1; day <= daysInMonth; day++) {
-                // Создаем объект даты
-                const date = new Date(parseInt(year), parseInt(month) - 1, day);
-                const dayOfWeek = date.getDay(); // 0 - воскресенье, 6 - суббота
-                
-                // Проверяем, является ли день выходным (суббота или воскресенье)
-                if (dayOfWeek === 0 || dayOfWeek === 6) {
-                    const timestamp = date.getTime();
-                    const dateString = this.formatDate(day, month, year);
-                    
-                    // Проверяем, не заблокирован ли день
-                    if (this.isDateBlocked(dateString, monthKey)) {
-                        continue;
-                    }
-                    
-                    // Удаляем скидку для этой даты
-                    delete this.calendarData.dateDiscounts[timestamp];
-                    
-                    // Обновляем базовые цены в хранилище
-                    if (this.calendarData.basePrices[monthKey]) {
-                        const prices = this.calendarData.basePrices[monthKey].prices;
-                        const priceIndex = prices.findIndex(item => item.date === dateString);
-                        
-                        if (priceIndex !== -1) {
-                            prices[priceIndex].price = basePrice;
-                        }
-                    }
-                    
-                    // Обновляем UI для текущего месяца
-                    document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(dayWrapper => {
-                        const dayEl = dayWrapper.querySelector('[day]');
-                        if (dayEl && parseInt(dayEl.textContent.trim()) === day) {
-                            // Удаляем класс is-active
-                            dayWrapper.classList.remove('is-active');
-                            
-                            // Обновляем отображаемую цену
-                            const servicePriceElement = dayWrapper.querySelector('[service-price]');
-                            if (servicePriceElement) {
-                                servicePriceElement.textContent = basePrice;
-                            }
-                        }
-                    });
-                }
-            }
-            
-            // Сохраняем данные месяца
-            this.saveMonthData(monthKey);
-            
-            console.log('[UnifiedCalendarManager] Скидки для выходных дней успешно сброшены');
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при сбросе скидок для выходных дней:', error);
-        }
+        const weekendDays = this.settings.weekendDays || [];
+        this.setWeekdayPrice(weekendDays, null);
+        this.emit(CALENDAR_EVENTS.DISCOUNT, {
+            days: [...weekendDays],
+            discount: 0,
+            price: this.getBasePrice(),
+            weekends: true
+        });
     }
 
     /**
@@ -2854,7 +5366,7 @@ class UnifiedCalendarManager {
      */
     toggleChosenDatesVisibility(show) {
         try {
-            const chosenDatesElement = document.querySelector('[calendar-choosen]');
+            const chosenDatesElement = this.getElement('chosenContainer');
             if (!chosenDatesElement) {
                 console.warn('[UnifiedCalendarManager] Элемент с выбранными датами не найден');
                 return;
@@ -2890,7 +5402,7 @@ class UnifiedCalendarManager {
             this.clearWaitState();
             
             // Снимаем выделение с дней
-            document.querySelectorAll('.calendar_day-wrapper.is-wait').forEach(dayWrapper => {
+            this.getDayWrappers('.is-wait').forEach(dayWrapper => {
                 dayWrapper.classList.remove('is-wait');
             });
             
@@ -2902,33 +5414,19 @@ class UnifiedCalendarManager {
 
     /**
      * Установка цвета фона для всех дней в диапазоне
-     * @param {number} startTimestamp - Временная метка начала диапазона
-     * @param {number} endTimestamp - Временная метка конца диапазона
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
      * @param {string} color - Цвет фона
      */
-    setRangeBackgroundColor(startTimestamp, endTimestamp, color) {
+    setRangeBackgroundColor(startKey, endKey, color) {
         try {
-            const startDate = new Date(startTimestamp);
-            const endDate = new Date(endTimestamp);
-            
-            // Проходим по всем дням в диапазоне
-            for (let date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
-                const day = date.getDate();
-                const month = date.getMonth() + 1;
-                const year = date.getFullYear();
-                
-                // Находим элемент дня в текущем месяце
-                if (month === parseInt(this.currentMonthKey.split('-')[1]) && 
-                    year === parseInt(this.currentMonthKey.split('-')[0])) {
-                    
-                    document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)').forEach(dayWrapper => {
-                        const dayEl = dayWrapper.querySelector('[day]');
-                        if (dayEl && parseInt(dayEl.textContent.trim()) === day) {
-                            dayWrapper.style.backgroundColor = color;
-                        }
-                    });
+            // Проходим по видимым дням диапазона
+            this.model.forEachDateInRange(startKey, endKey, dateKey => {
+                const dayWrapper = this.getDayWrapperByDate(dateKey);
+                if (dayWrapper) {
+                    dayWrapper.style.backgroundColor = color;
                 }
-            }
+            });
             
             console.log(`[UnifiedCalendarManager] Установлен цвет фона ${color} для диапазона дат`);
         } catch (error) {
@@ -2942,7 +5440,7 @@ class UnifiedCalendarManager {
     resetAllDaysBackgroundColor() {
         try {
             // Получаем все дни календаря
-            const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
+            const calendarDays = this.getDayWrappers(':not(.not_exist)');
             
             // Сбрасываем цвет фона для каждого дня
             calendarDays.forEach(dayWrapper => {
@@ -2960,7 +5458,11 @@ class UnifiedCalendarManager {
      */
     updateChosenDatesDisplay() {
         try {
-            const chosenDatesElement = document.querySelector('[chosen-dates]');
+            // Стоимость и отметки выбора в годовом обзоре выводятся и без элемента со списком дат
+            this.renderQuote();
+            this.renderYearView();
+
+            const chosenDatesElement = this.getElement('chosenDates');
             if (!chosenDatesElement) {
                 console.warn('[UnifiedCalendarManager] Элемент для отображения выбранных дат не найден');
                 return;
@@ -2969,6 +5471,7 @@ class UnifiedCalendarManager {
             // Если нет выбранных диапазонов, очищаем элемент
             if (this.calendarData.dateRanges.length === 0) {
                 chosenDatesElement.textContent = '';
+                this.renderNoteInput();
                 return;
             }
             
@@ -2979,36 +5482,12 @@ class UnifiedCalendarManager {
                 return;
             }
             
-            // Форматируем даты начала и конца диапазона
-            const startDate = new Date(lastRange.start.timestamp);
-            const endDate = new Date(lastRange.end.timestamp);
-            
-            const startDay = startDate.getDate();
-            const startMonth = this.getMonthName(startDate.getMonth());
-            const startYear = startDate.getFullYear();
-            
-            const endDay = endDate.getDate();
-            const endMonth = this.getMonthName(endDate.getMonth());
-            const endYear = endDate.getFullYear();
-            
-            // Формируем текст для отображения
-            let displayText = '';
-            
-            // Если даты в одном месяце и году
-            if (startMonth === endMonth && startYear === endYear) {
-                displayText = `${startDay} - ${endDay} ${startMonth} ${startYear}`;
-            } 
-            // Если даты в разных месяцах, но в одном году
-            else if (startYear === endYear) {
-                displayText = `${startDay} ${startMonth} - ${endDay} ${endMonth} ${startYear}`;
-            } 
-            // Если даты в разных годах
-            else {
-                displayText = `${startDay} ${startMonth} ${startYear} - ${endDay} ${endMonth} ${endYear}`;
-            }
+            // Форматируем диапазон в локали календаря
+            const displayText = this.formatDateRange(lastRange);
             
             // Обновляем текст элемента
             chosenDatesElement.textContent = displayText;
+            this.renderNoteInput();
             
             console.log(`[UnifiedCalendarManager] Обновлено отображение выбранных дат: ${displayText}`);
         } catch (error) {
@@ -3016,145 +5495,6 @@ class UnifiedCalendarManager {
         }
     }
 
-    /**
-     * Получение названия месяца
-     * @param {number} monthIndex - Индекс месяца (0-11)
-     * @returns {string} - Название месяца
-     */
-    getMonthName(monthIndex) {
-        const monthNames = [
-            'января', 'февраля', 'марта', 'апреля', 'мая', 'июня',
-            'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'
-        ];
-        
-        return monthNames[monthIndex];
-    }
-
-    /**
-     * Обеспечение базовых цен для месяца
-     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
-     */
-    ensureBasePricesForMonth(monthKey) {
-        try {
-            console.log(`[UnifiedCalendarManager] Базовые цены для месяца ${monthKey} обеспечены`);
-            
-            // Получаем год и месяц из ключа
-            const [year, month] = monthKey.split('-').map(Number);
-            
-            // Получаем количество дней в месяце
-            const daysInMonth = new Date(year, month, 0).getDate();
-            
-            // Устанавливаем базовую цену для каждого дня месяца
-            for (let day = 1; day <= daysInMonth; day++) {
-                // Форматируем день с ведущим нулем
-                const formattedDay = day.toString().padStart(2, '0');
-                
-                // Формируем ключ даты
-                const dateKey = `${year}-${month.toString().padStart(2, '0')}-${formattedDay}`;
-                
-                // Создаем объект даты для проверки выходного дня
-                const date = new Date(year, month - 1, day);
-                const isWeekend = date.getDay() === 0 || date.getDay() === 6;
-                
-                // Устанавливаем базовую цену
-                let price = this.settings.defaultPrice;
-                
-                // Применяем скидку для выходных дней, если она включена
-                if (isWeekend && this.settings.weekendDiscountEnabled) {
-                    price = Math.max(0, price - this.settings.weekendDiscount);
-                }
-                
-                // Сохраняем цену
-                if (!window.calendarSettings.data[monthKey].prices) {
-                    window.calendarSettings.data[monthKey].prices = {};
-                }
-                window.calendarSettings.data[monthKey].prices[dateKey] = price;
-                
-                // Активируем день
-                if (!window.calendarSettings.data[monthKey].activeDates) {
-                    window.calendarSettings.data[monthKey].activeDates = {};
-                }
-                window.calendarSettings.data[monthKey].activeDates[dateKey] = true;
-            }
-            
-            console.log(`[UnifiedCalendarManager] Базовые цены для месяца ${monthKey} обеспечены`);
-        } catch (error) {
-            console.error(`[UnifiedCalendarManager] Ошибка при обеспечении базовых цен для месяца ${monthKey}:`, error);
-        }
-    }
-
-    /**
-     * Обработчик наведения на день
-     * @param {number} day - День месяца
-     * @param {HTMLElement} dayElement - Элемент дня
-     */
-    handleDayHover(day, dayElement) {
-        try {
-            // Инициализируем объект выбора диапазона, если он не существует
-            if (!this.rangeSelection) {
-                this.rangeSelection = {
-                    isRangeConfirmed: false,
-                    start: null,
-                    end: null,
-                    hoveredDay: null
-                };
-            }
-            
-            // Если диапазон уже подтвержден, ничего не делаем
-            if (this.rangeSelection.isRangeConfirmed) {
-                return;
-            }
-            
-            // Получаем текущий год и месяц
-            const [year, month] = this.currentMonthKey.split('-').map(Number);
-            
-            // Сохраняем наведенный день
-            this.rangeSelection.hoveredDay = {
-                day,
-                month,
-                year,
-                element: dayElement
-            };
-            
-            // Если начало диапазона уже выбрано, подсвечиваем диапазон
-            if (this.rangeSelection.start && !this.rangeSelection.end) {
-                this.highlightRange();
-            }
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при обработке наведения на день:', error);
-        }
-    }
-
-    /**
-     * Обработчик ухода курсора с календаря
-     */
-    handleCalendarLeave() {
-        try {
-            // Инициализируем объект выбора диапазона, если он не существует
-            if (!this.rangeSelection) {
-                this.rangeSelection = {
-                    isRangeConfirmed: false,
-                    start: null,
-                    end: null,
-                    hoveredDay: null
-                };
-            }
-            
-            // Если диапазон уже подтвержден, ничего не делаем
-            if (this.rangeSelection.isRangeConfirmed) {
-                return;
-            }
-            
-            // Сбрасываем наведенный день
-            this.rangeSelection.hoveredDay = null;
-            
-            // Сбрасываем подсветку диапазона
-            this.resetRangeHighlight();
-        } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при обработке события mouseleave для календаря:', error);
-        }
-    }
-
     /**
      * Обновление цен
      */
@@ -3166,14 +5506,14 @@ class UnifiedCalendarManager {
             const [year, month] = this.currentMonthKey.split('-').map(Number);
             
             // Получаем все дни календаря
-            const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
+            const calendarDays = this.getDayWrappers(':not(.not_exist)');
             
             // Обновляем цены для каждого дня
             calendarDays.forEach(dayWrapper => {
-                const dayElement = dayWrapper.querySelector('[day]');
+                const dayElement = this.getElement('day', dayWrapper);
                 if (!dayElement) return;
                 
-                const day = parseInt(dayElement.getAttribute('day'));
+                const day = parseInt(dayElement.getAttribute(this.attributes.day));
                 if (isNaN(day)) return;
                 
                 // Формируем ключ даты
@@ -3183,9 +5523,9 @@ class UnifiedCalendarManager {
                 const price = this.calendarData.prices[dateKey] || 0;
                 
                 // Обновляем отображение цены
-                const priceElement = dayWrapper.querySelector('.calendar_day-price');
+                const priceElement = this.getElement('dayPrice', dayWrapper);
                 if (priceElement) {
-                    priceElement.textContent = price > 0 ? `${price} ₽` : '';
+                    priceElement.textContent = price > 0 ? this.formatPrice(price) : '';
                 }
             });
             
@@ -3196,45 +5536,56 @@ class UnifiedCalendarManager {
     }
 
     /**
-     * Подсветка диапазона дат
+     * Подсветка диапазона дат в отображаемом месяце
+     * Диапазон может начинаться или заканчиваться за пределами отображаемого месяца.
+     * @param {string} fromKey - Первый конец диапазона YYYY-MM-DD
+     * @param {string} toKey - Второй конец диапазона YYYY-MM-DD
      */
-    highlightRange() {
+    highlightRange(fromKey, toKey) {
         try {
-            // Проверяем, что начало диапазона и наведенный день существуют
-            if (!this.rangeSelection.start || !this.rangeSelection.hoveredDay) {
-                return;
-            }
+            // Очищаем предыдущий предварительный выбор
+            this.clearHoverEffect();
             
-            // Получаем все дни календаря
-            const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
+            const [minKey, maxKey] = fromKey <= toKey ? [fromKey, toKey] : [toKey, fromKey];
+            const startDate = this.getPendingStartDate();
             
-            // Сбрасываем подсветку
-            calendarDays.forEach(day => {
-                day.classList.remove('in-range');
+            // Подсвечиваем дни отображаемого месяца, попадающие в диапазон
+            this.getDayWrappers(':not(.not_exist)').forEach(dayWrapper => {
+                const date = this.getDayWrapperDate(dayWrapper);
+                if (!date || date.date < minKey || date.date > maxKey) return;
+                
+                // Для начального дня оставляем цвет #090633, остальные - #EAECF0
+                const isStartDay = startDate && date.date === startDate.date;
+                dayWrapper.style.backgroundColor = isStartDay ? '#090633' : '#EAECF0';
+                dayWrapper.classList.add('hover-selected');
             });
+        } catch (error) {
+            console.error('[UnifiedCalendarManager] Ошибка при подсветке диапазона:', error);
+        }
+    }
+
+    /**
+     * Восстановление отметок выбора после перерисовки месяца
+     * Отмечает выбранные диапазоны и начало незавершенного диапазона, если они
+     * попадают в отображаемый месяц.
+     */
+    refreshSelectionState() {
+        try {
+            const startDate = this.getPendingStartDate();
             
-            // Определяем начало и конец диапазона
-            const startDay = this.rangeSelection.start.day;
-            const endDay = this.rangeSelection.hoveredDay.day;
-            
-            // Определяем минимальный и максимальный день
-            const minDay = Math.min(startDay, endDay);
-            const maxDay = Math.max(startDay, endDay);
-            
-            // Подсвечиваем дни в диапазоне
-            calendarDays.forEach(dayWrapper => {
-                const dayElement = dayWrapper.querySelector('[day]');
-                if (!dayElement) return;
-                
-                const day = parseInt(dayElement.getAttribute('day'));
-                if (isNaN(day)) return;
+            this.getDayWrappers().forEach(dayWrapper => {
+                const date = this.getDayWrapperDate(dayWrapper);
+                const isSelected = Boolean(date) && this.isDateInRanges(date);
+                const isPendingStart = Boolean(date && startDate) && date.date === startDate.date;
                 
-                if (day >= minDay && day <= maxDay) {
-                    dayWrapper.classList.add('in-range');
+                dayWrapper.classList.toggle('is-selected', isSelected);
+                dayWrapper.classList.toggle('is-wait', isPendingStart);
+                if (isPendingStart) {
+                    dayWrapper.style.backgroundColor = '#090633';
                 }
             });
         } catch (error) {
-            console.error('[UnifiedCalendarManager] Ошибка при подсветке диапазона:', error);
+            console.error('[UnifiedCalendarManager] Ошибка при восстановлении отметок выбора:', error);
         }
     }
 
@@ -3244,7 +5595,7 @@ class UnifiedCalendarManager {
     resetRangeHighlight() {
         try {
             // Получаем все дни календаря
-            const calendarDays = document.querySelectorAll('.calendar_day-wrapper:not(.not_exist)');
+            const calendarDays = this.getDayWrappers(':not(.not_exist)');
             
             // Сбрасываем подсветку
             calendarDays.forEach(day => {
@@ -3257,6 +5608,25 @@ class UnifiedCalendarManager {
 }
 
 // Инициализация менеджера календаря при загрузке документа
+// Каждый элемент с атрибутом calendar-root (или attributes.listingId; значение - ID объявления) получает свой экземпляр;
+// без таких элементов создается один календарь на весь документ
 document.addEventListener('DOMContentLoaded', function() {
-    new UnifiedCalendarManager();
+    const settings = window.calendarSettings || {};
+    const listingAttribute = (settings.attributes && settings.attributes.listingId) || DEFAULT_ATTRIBUTES.listingId;
+    const roots = document.querySelectorAll(`[${listingAttribute}]`);
+
+    if (roots.length === 0) {
+        new UnifiedCalendarManager({
+            storage: settings.storageAdapter
+        });
+        return;
+    }
+
+    roots.forEach(root => {
+        new UnifiedCalendarManager({
+            storage: settings.storageAdapter,
+            root,
+            listingId: root.getAttribute(listingAttribute)
+        });
+    });
 });
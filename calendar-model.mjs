@@ -0,0 +1,928 @@
+/**
+ * Calendar Model
+ * Логика цен, блокировок и диапазонов календаря без зависимости от DOM.
+ *
+ * Используется как ES-модуль в Node:
+ *     import { CalendarModel } from './calendar-model.mjs';
+ * Тесты модели: node --test calendar-model.test.mjs
+ *
+ * В браузере подключается до a8.js, который привязывает модель к разметке Webflow:
+ *     <script type="module" src="calendar-model.mjs"></script>
+ */
+
+// Выходные дни по умолчанию (номера дней недели как в Date.getDay: 0 - воскресенье)
+const DEFAULT_WEEKEND_DAYS = [6, 0];
+
+// Настройки по умолчанию
+const DEFAULT_MODEL_SETTINGS = {
+    defaultPrice: 0,
+    timezone: null,         // Часовой пояс объекта (IANA, например "Europe/Moscow"); null - пояс браузера
+    currency: 'RUB',        // Валюта цен (код ISO 4217), в ней хранятся все суммы
+    displayCurrency: null,  // Валюта отображения (null - как currency), пересчитывается по курсам
+    weekendDays: DEFAULT_WEEKEND_DAYS,
+    weekdayPrices: {},   // Корректировки по дням недели {0-6: {type, value}}
+    pricingRules: [],
+    leadTimeRules: [],   // Правила по сроку до даты [{id, name, minDays, maxDays, type, value}]
+    stayDiscounts: [],   // Скидки за длительность проживания [{minNights, percent}]
+    quote: null          // Расчет стоимости {unit, hoursPerDay, fees, taxes}, см. getQuoteSettings
+};
+
+// Единицы расчета стоимости выбранного диапазона
+export const QUOTE_UNITS = {
+    NIGHT: 'night',   // Оплачиваются ночи: день выезда не входит в расчет
+    HOUR: 'hour'      // Цена дня - цена часа, оплачиваются часы всех дней диапазона
+};
+
+// Расчет стоимости по умолчанию: посуточно, без сборов и налогов
+const DEFAULT_QUOTE_SETTINGS = {
+    unit: QUOTE_UNITS.NIGHT,
+    hoursPerDay: 24,
+    fees: [],    // Фиксированные сборы [{name, amount}] (уборка, сервисный сбор)
+    taxes: []    // Налоги в процентах [{name, percent}], начисляются на стоимость дней и сборы
+};
+
+// Типы корректировки цены в правилах
+export const PRICING_RULE_TYPES = {
+    FIXED: 'fixed',       // Цена заменяется значением правила
+    PERCENT: 'percent',   // Цена меняется на процент (+40 или -10)
+    AMOUNT: 'amount'      // К цене прибавляется сумма (может быть отрицательной)
+};
+
+// Слои цены дня в порядке применения; каждый слой хранится отдельно и удаляется независимо
+export const PRICE_LAYERS = {
+    BASE: 'base',           // Цена месяца по умолчанию или базовая цена
+    RULE: 'rule',           // Сезонное правило ценообразования (settings.pricingRules)
+    WEEKDAY: 'weekday',     // Корректировка дня недели (settings.weekdayPrices)
+    LEAD_TIME: 'leadTime',  // Правило по сроку до даты (settings.leadTimeRules), зависит от сегодняшней даты
+    DISCOUNT: 'discount',   // Процентная скидка для диапазона (basePrices[месяц].discounts)
+    OVERRIDE: 'override',   // Цена, заданная вручную (basePrices[месяц].prices)
+    STAY: 'stay',           // Скидка за длительность проживания (только при расчете диапазона, не хранится)
+    BLOCKED: 'blocked'      // Цена, сохраненная при блокировке (blockedDates)
+};
+
+// Категории блокировок: причина, по которой дата недоступна
+export const BLOCK_CATEGORIES = {
+    BOOKED: 'booked',             // Бронирование (в том числе импортированное из Airbnb и других площадок)
+    OWNER: 'owner',               // Проживание владельца
+    MAINTENANCE: 'maintenance',   // Обслуживание и ремонт
+    HOLD: 'hold'                  // Придержано (блокировка без уточнения причины)
+};
+
+// Ключ даты без часового пояса
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Ключ даты YYYY-MM-DD для момента времени в часовом поясе
+ * @param {number|Date} time - Временная метка или дата
+ * @param {string|null} [timeZone] - Часовой пояс IANA (по умолчанию пояс среды выполнения)
+ * @returns {string|null} - Ключ даты или null для некорректного времени или пояса
+ */
+export function toDateKey(time, timeZone = null) {
+    const date = new Date(time);
+    if (isNaN(date.getTime())) return null;
+
+    try {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(date);
+        const value = type => parts.find(part => part.type === type).value;
+
+        return `${value('year')}-${value('month')}-${value('day')}`;
+    } catch (error) {
+        console.error(`[CalendarModel] Некорректный часовой пояс: ${timeZone}`, error);
+        return null;
+    }
+}
+
+export class CalendarModel {
+    /**
+     * @param {Object} [options] - Параметры модели
+     * @param {Object} [options.data] - Начальные данные календаря (blockedDates, basePrices, dateRanges)
+     * @param {Object} [options.settings] - Глобальные настройки (defaultPrice, weekendDays, weekdayPrices, pricingRules)
+     * @param {Function} [options.basePrice] - Источник базовой цены (например, поле формы); по умолчанию settings.defaultPrice
+     */
+    constructor(options = {}) {
+        this.data = {
+            dateRanges: [],
+            activeDates: {},
+            prices: {},
+            excludedDates: new Set(), // Исключенные даты (ключи YYYY-MM-DD)
+            blockedDates: {},         // Заблокированные даты по месяцам {yearMonth: [{date, price}]}
+            basePrices: {},           // Цены и заметки по месяцам {yearMonth: {defaultCost, prices: [{date, price}], discounts: [{date, discount}], notes: [{date, text}]}}
+            ...(options.data || {})
+        };
+
+        this.settings = {
+            ...DEFAULT_MODEL_SETTINGS,
+            ...(options.settings || {})
+        };
+
+        this.basePriceSource = typeof options.basePrice === 'function' ? options.basePrice : null;
+    }
+
+    /**
+     * Форматирование даты в ключ YYYY-MM-DD
+     * @param {number|string} day - День
+     * @param {number|string} month - Месяц (1-12)
+     * @param {number|string} year - Год
+     * @returns {string} - Ключ даты или пустая строка для неверных параметров
+     */
+    formatDate(day, month, year) {
+        if (!day || day <= 0 || !month || !year) {
+            console.warn(`[CalendarModel] Неверные параметры даты: день=${day}, месяц=${month}, год=${year}`);
+            return '';
+        }
+
+        return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Базовая цена из источника options.basePrice, а без него - из настроек
+     * @returns {number}
+     */
+    getBasePrice() {
+        const basePrice = this.basePriceSource ? this.basePriceSource() : this.settings.defaultPrice;
+        return Number(basePrice) || 0;
+    }
+
+    /**
+     * День недели для даты
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {number} - 0 (воскресенье) - 6 (суббота)
+     */
+    getDayOfWeek(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    }
+
+    /**
+     * Проверка, является ли дата выходным днем (по настройке weekendDays)
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {boolean}
+     */
+    isWeekend(dateKey) {
+        const weekendDays = this.settings.weekendDays || DEFAULT_WEEKEND_DAYS;
+        return weekendDays.includes(this.getDayOfWeek(dateKey));
+    }
+
+    /**
+     * Корректировка цены для дня недели даты
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {Object|null} - Корректировка {type, value} или null
+     */
+    getWeekdayAdjustment(dateKey) {
+        const weekdayPrices = this.settings.weekdayPrices || {};
+        return weekdayPrices[this.getDayOfWeek(dateKey)] || null;
+    }
+
+    /**
+     * Разбор текстовой корректировки цены
+     * "3000" - фиксированная цена, "+20%" / "-10%" - процент, "+500" / "-500" - сумма
+     * @param {string} text - Текст корректировки
+     * @returns {Object|null} - Корректировка {type, value} или null для пустой или некорректной строки
+     */
+    parseAdjustment(text) {
+        const match = String(text || '').replace(/\s/g, '').replace(',', '.').match(/^([+-])?(\d+(?:\.\d+)?)(%)?$/);
+        if (!match) return null;
+
+        const [, sign, amount, percent] = match;
+        const value = Number(amount) * (sign === '-' ? -1 : 1);
+
+        if (percent) return { type: PRICING_RULE_TYPES.PERCENT, value };
+        if (sign) return { type: PRICING_RULE_TYPES.AMOUNT, value };
+        return { type: PRICING_RULE_TYPES.FIXED, value };
+    }
+
+    /**
+     * Текстовая запись корректировки цены (обратное преобразование к parseAdjustment)
+     * @param {Object|null} adjustment - Корректировка {type, value}
+     * @returns {string}
+     */
+    formatAdjustment(adjustment) {
+        if (!adjustment) return '';
+
+        const sign = adjustment.value > 0 ? '+' : '';
+        switch (adjustment.type) {
+            case PRICING_RULE_TYPES.PERCENT:
+                return `${sign}${adjustment.value}%`;
+            case PRICING_RULE_TYPES.AMOUNT:
+                return `${sign}${adjustment.value}`;
+            default:
+                return String(adjustment.value);
+        }
+    }
+
+    /**
+     * Применение процентной скидки к цене
+     * @param {number} price - Исходная цена
+     * @param {string|number} discount - Процент скидки (например, "10%" или 10)
+     * @returns {number} - Цена со скидкой
+     */
+    applyDiscount(price, discount) {
+        const discountPercent = typeof discount === 'string'
+            ? parseFloat(discount.replace('%', ''))
+            : parseFloat(discount);
+
+        if (isNaN(discountPercent)) {
+            console.error('[CalendarModel] Некорректное значение скидки:', discount);
+            return price;
+        }
+
+        // Ограничиваем скидку диапазоном от 0 до 100
+        const clampedPercent = Math.max(0, Math.min(100, discountPercent));
+        return Math.round(price * (100 - clampedPercent) / 100);
+    }
+
+    /**
+     * Проверка, пересекается ли новый диапазон с уже выбранными
+     * Ключи YYYY-MM-DD сравниваются как строки, поэтому результат не зависит от часового пояса.
+     * @param {string} newStart - Начало нового диапазона YYYY-MM-DD
+     * @param {string} newEnd - Конец нового диапазона YYYY-MM-DD
+     * @returns {boolean} - true, если есть пересечение
+     */
+    isRangeOverlap(newStart, newEnd) {
+        if (!DATE_KEY_PATTERN.test(newStart) || !DATE_KEY_PATTERN.test(newEnd)) {
+            console.error(`[CalendarModel] Неверные параметры в isRangeOverlap: начало=${newStart}, конец=${newEnd}`);
+            return false;
+        }
+
+        return this.data.dateRanges.some(range =>
+            (newStart <= range.end.date && newEnd >= range.start.date)
+        );
+    }
+
+    /**
+     * Проверка, заблокирована ли дата
+     * @param {string} dateString - Дата в формате YYYY-MM-DD
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * @returns {boolean}
+     */
+    isDateBlocked(dateString, monthKey) {
+        if (!dateString || !monthKey) {
+            console.error(`[CalendarModel] Неверные параметры в isDateBlocked: дата=${dateString}, ключ=${monthKey}`);
+            return false;
+        }
+
+        const blockedItems = this.data.blockedDates[monthKey];
+        return Boolean(blockedItems && blockedItems.some(item => item.date === dateString));
+    }
+
+    /**
+     * Цена, сохраненная для заблокированной даты
+     * @param {string} dateString - Дата в формате YYYY-MM-DD
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * @returns {number} - Цена или 0, если дата не заблокирована
+     */
+    getBlockedDatePrice(dateString, monthKey) {
+        if (!dateString || !monthKey) {
+            console.error(`[CalendarModel] Неверные параметры в getBlockedDatePrice: дата=${dateString}, ключ=${monthKey}`);
+            return 0;
+        }
+
+        const blockedItems = this.data.blockedDates[monthKey] || [];
+        const blockedItem = blockedItems.find(item => item.date === dateString);
+        return blockedItem ? blockedItem.price : 0;
+    }
+
+    /**
+     * Запись блокировки даты
+     * @param {string} dateString - Дата в формате YYYY-MM-DD
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * @returns {Object|null} - {date, price, category, label?, source?} или null, если дата не заблокирована
+     */
+    getBlockedItem(dateString, monthKey) {
+        const blockedItems = this.data.blockedDates[monthKey] || [];
+        return blockedItems.find(item => item.date === dateString) || null;
+    }
+
+    /**
+     * Категория блокировки: переданная, если она известна, иначе "бронирование"
+     * для импорта с площадки и "придержано" для остальных блокировок
+     * @param {string} [category] - Категория из BLOCK_CATEGORIES
+     * @param {string} [source] - Источник блокировки
+     * @returns {string}
+     */
+    resolveBlockCategory(category, source) {
+        if (Object.values(BLOCK_CATEGORIES).includes(category)) {
+            return category;
+        }
+        return source ? BLOCK_CATEGORIES.BOOKED : BLOCK_CATEGORIES.HOLD;
+    }
+
+    /**
+     * Блокировка всех дней диапазона
+     * Уже заблокированные дни пропускаются, поэтому повторная блокировка не создает дубликатов.
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
+     * @param {Object} [options] - Параметры блокировки
+     * @param {number} [options.price] - Цена, сохраняемая для заблокированных дней
+     * @param {string} [options.source] - Источник блокировки (например, "airbnb" для импорта)
+     * @param {string} [options.category] - Категория из BLOCK_CATEGORIES (по умолчанию см. resolveBlockCategory)
+     * @param {string} [options.label] - Подпись блокировки (например, имя гостя)
+     * @returns {Array<Object>} - Затронутые дни {date, monthKey, day}
+     */
+    blockDates(startKey, endKey, options = {}) {
+        const price = options.price !== undefined ? options.price : this.getBasePrice();
+        const category = this.resolveBlockCategory(options.category, options.source);
+        const label = String(options.label || '').trim();
+        const affectedDays = [];
+
+        this.forEachDateInRange(startKey, endKey, (dateString, monthKey) => {
+            const day = Number(dateString.slice(8, 10));
+
+            if (!this.data.blockedDates[monthKey]) {
+                this.data.blockedDates[monthKey] = [];
+            }
+
+            if (!this.isDateBlocked(dateString, monthKey)) {
+                const blockedItem = { date: dateString, price, category };
+                if (label) {
+                    blockedItem.label = label;
+                }
+                if (options.source) {
+                    blockedItem.source = options.source;
+                }
+                this.data.blockedDates[monthKey].push(blockedItem);
+            }
+
+            affectedDays.push({ date: dateString, monthKey, day });
+        });
+
+        return affectedDays;
+    }
+
+    /**
+     * Снятие блокировки с дней диапазона
+     * Блокировки хранятся по дням, поэтому частичное пересечение оставляет
+     * заблокированными дни за пределами диапазона. Цена дня снова рассчитывается по слоям.
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
+     * @returns {Array<Object>} - Разблокированные дни {date, monthKey, day}
+     */
+    unblockDates(startKey, endKey) {
+        const affectedDays = [];
+
+        this.forEachDateInRange(startKey, endKey, (dateString, monthKey) => {
+            if (!this.isDateBlocked(dateString, monthKey)) return;
+
+            const remaining = this.data.blockedDates[monthKey].filter(item => item.date !== dateString);
+            if (remaining.length) {
+                this.data.blockedDates[monthKey] = remaining;
+            } else {
+                delete this.data.blockedDates[monthKey];
+            }
+
+            affectedDays.push({ date: dateString, monthKey, day: Number(dateString.slice(8, 10)) });
+        });
+
+        return affectedDays;
+    }
+
+    /**
+     * Гарантирует наличие записи месяца со слоями цен
+     * Цены дней не заполняются, а новая запись не получает собственной цены месяца:
+     * без ручной цены день следует текущей базовой цене.
+     * @param {string} monthKey - Ключ месяца в формате YYYY-MM
+     * @returns {Object} - Запись месяца {defaultCost?, prices, discounts, notes}
+     */
+    ensureBasePrices(monthKey) {
+        const monthData = this.data.basePrices[monthKey] || {};
+        monthData.prices = monthData.prices || [];
+        monthData.discounts = monthData.discounts || [];
+        monthData.notes = monthData.notes || [];
+        this.data.basePrices[monthKey] = monthData;
+        return monthData;
+    }
+
+    /**
+     * Обход всех дат диапазона включительно
+     * Даты перебираются в UTC, поэтому переход на летнее время не пропускает и не повторяет дни.
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
+     * @param {Function} callback - Вызывается с (dateKey, monthKey)
+     */
+    forEachDateInRange(startKey, endKey, callback) {
+        const [startYear, startMonth, startDay] = startKey.split('-').map(Number);
+        const [endYear, endMonth, endDay] = endKey.split('-').map(Number);
+        const end = Date.UTC(endYear, endMonth - 1, endDay);
+
+        for (let time = Date.UTC(startYear, startMonth - 1, startDay); time <= end; time += 24 * 60 * 60 * 1000) {
+            const dateKey = new Date(time).toISOString().slice(0, 10);
+            callback(dateKey, dateKey.slice(0, 7));
+        }
+    }
+
+    /**
+     * Запись значения слоя для всех незаблокированных дат диапазона
+     * @param {string} listName - Список записи месяца (prices или discounts)
+     * @param {string} field - Поле значения (price или discount)
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
+     * @param {number} value - Значение
+     * @returns {Set<string>} - Ключи затронутых месяцев
+     */
+    setLayerValue(listName, field, startKey, endKey, value) {
+        const monthKeys = new Set();
+
+        this.forEachDateInRange(startKey, endKey, (dateKey, monthKey) => {
+            if (this.isDateBlocked(dateKey, monthKey)) return;
+
+            const list = this.ensureBasePrices(monthKey)[listName];
+            const item = list.find(entry => entry.date === dateKey);
+            if (item) {
+                item[field] = value;
+            } else {
+                list.push({ date: dateKey, [field]: value });
+            }
+            monthKeys.add(monthKey);
+        });
+
+        return monthKeys;
+    }
+
+    /**
+     * Процентная скидка для диапазона (слой discount)
+     * Скидка применяется к цене после корректировки дня недели, поэтому изменение
+     * базовой цены или цен по дням недели не теряет скидку.
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
+     * @param {string|number} discount - Процент скидки (например, "10%" или 10)
+     * @returns {Set<string>} - Ключи затронутых месяцев
+     */
+    setRangeDiscount(startKey, endKey, discount) {
+        const discountPercent = parseFloat(String(discount).replace('%', ''));
+        if (isNaN(discountPercent)) {
+            console.error('[CalendarModel] Некорректное значение скидки:', discount);
+            return new Set();
+        }
+
+        return this.setLayerValue('discounts', 'discount', startKey, endKey, Math.max(0, Math.min(100, discountPercent)));
+    }
+
+    /**
+     * Цена, заданная вручную для диапазона (слой override)
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
+     * @param {number} price - Цена
+     * @returns {Set<string>} - Ключи затронутых месяцев
+     */
+    setPriceOverride(startKey, endKey, price) {
+        const value = Number(price);
+        if (isNaN(value) || value < 0) {
+            console.error('[CalendarModel] Некорректная цена:', price);
+            return new Set();
+        }
+
+        return this.setLayerValue('prices', 'price', startKey, endKey, Math.round(value));
+    }
+
+    /**
+     * Заметка дня
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {string} - Текст заметки или пустая строка
+     */
+    getNote(dateKey) {
+        const monthData = this.data.basePrices[dateKey.slice(0, 7)];
+        const note = monthData && (monthData.notes || []).find(item => item.date === dateKey);
+        return note ? note.text : '';
+    }
+
+    /**
+     * Заметка для всех дат диапазона (в том числе заблокированных)
+     * Пустой текст удаляет заметки диапазона.
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
+     * @param {string} text - Текст заметки
+     * @returns {Set<string>} - Ключи затронутых месяцев
+     */
+    setNote(startKey, endKey, text) {
+        const value = String(text || '').trim();
+        const monthKeys = new Set();
+
+        this.forEachDateInRange(startKey, endKey, (dateKey, monthKey) => {
+            const monthData = this.ensureBasePrices(monthKey);
+            const remaining = monthData.notes.filter(item => item.date !== dateKey);
+            if (!value && remaining.length === monthData.notes.length) return;
+
+            monthData.notes = value ? [...remaining, { date: dateKey, text: value }] : remaining;
+            monthKeys.add(monthKey);
+        });
+
+        return monthKeys;
+    }
+
+    /**
+     * Удаление слоя discount или override (во всем календаре или только в диапазоне)
+     * Остальные слои не затрагиваются.
+     * @param {string} layer - PRICE_LAYERS.DISCOUNT или PRICE_LAYERS.OVERRIDE
+     * @param {string} [startKey] - Начало диапазона YYYY-MM-DD
+     * @param {string} [endKey] - Конец диапазона YYYY-MM-DD
+     * @returns {Set<string>} - Ключи затронутых месяцев
+     */
+    clearLayer(layer, startKey = null, endKey = null) {
+        const listName = { [PRICE_LAYERS.DISCOUNT]: 'discounts', [PRICE_LAYERS.OVERRIDE]: 'prices' }[layer];
+        const monthKeys = new Set();
+
+        if (!listName) {
+            console.error(`[CalendarModel] Слой ${layer} не удаляется по датам`);
+            return monthKeys;
+        }
+
+        Object.entries(this.data.basePrices).forEach(([monthKey, monthData]) => {
+            const list = monthData[listName] || [];
+            const remaining = list.filter(item =>
+                startKey && endKey && (item.date < startKey || item.date > endKey)
+            );
+            if (remaining.length !== list.length) {
+                monthData[listName] = remaining;
+                monthKeys.add(monthKey);
+            }
+        });
+
+        return monthKeys;
+    }
+
+    /**
+     * Проверка и приведение правила ценообразования к стандартному виду
+     * Даты правила задаются как YYYY-MM-DD (один период) или MM-DD (повторяется каждый год,
+     * период может переходить через конец года, например 12-28 - 01-04).
+     * @param {Object} rule - Правило {name, start, end, priority, type, value}
+     * @returns {Object|null} - Правило или null, если оно некорректно
+     */
+    normalizePricingRule(rule) {
+        const datePattern = /^(\d{4}-)?\d{2}-\d{2}$/;
+        const value = Number(rule && rule.value);
+
+        if (!rule || !datePattern.test(rule.start) || !datePattern.test(rule.end)) {
+            console.error('[CalendarModel] Некорректный период правила ценообразования:', rule);
+            return null;
+        }
+
+        if (rule.start.length !== rule.end.length) {
+            console.error('[CalendarModel] Даты правила должны быть в одном формате (YYYY-MM-DD или MM-DD):', rule);
+            return null;
+        }
+
+        if (!Object.values(PRICING_RULE_TYPES).includes(rule.type) || isNaN(value)) {
+            console.error('[CalendarModel] Некорректный тип или значение правила ценообразования:', rule);
+            return null;
+        }
+
+        return {
+            id: rule.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: String(rule.name || '').trim() || `${rule.start} - ${rule.end}`,
+            start: rule.start,
+            end: rule.end,
+            priority: Number(rule.priority) || 0,
+            type: rule.type,
+            value
+        };
+    }
+
+    /**
+     * Проверка, действует ли правило в указанную дату
+     * @param {Object} rule - Правило ценообразования
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {boolean}
+     */
+    isRuleActiveOn(rule, dateKey) {
+        // Ежегодное правило: сравниваем только месяц и день
+        if (rule.start.length === 5) {
+            const monthDay = dateKey.slice(5);
+            return rule.start <= rule.end
+                ? monthDay >= rule.start && monthDay <= rule.end
+                : monthDay >= rule.start || monthDay <= rule.end;
+        }
+
+        return dateKey >= rule.start && dateKey <= rule.end;
+    }
+
+    /**
+     * Правило с наивысшим приоритетом, действующее в указанную дату
+     * При равном приоритете побеждает правило, добавленное позже.
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {Object|null}
+     */
+    getPricingRuleForDate(dateKey) {
+        const rules = this.settings.pricingRules || [];
+        let winner = null;
+
+        rules.forEach(rule => {
+            if (this.isRuleActiveOn(rule, dateKey) && (!winner || rule.priority >= winner.priority)) {
+                winner = rule;
+            }
+        });
+
+        return winner;
+    }
+
+    /**
+     * Ключ сегодняшней даты в формате YYYY-MM-DD в часовом поясе объекта (settings.timezone)
+     * @returns {string}
+     */
+    getTodayKey() {
+        // При некорректном поясе используется пояс среды выполнения
+        return toDateKey(Date.now(), this.settings.timezone) || toDateKey(Date.now());
+    }
+
+    /**
+     * Число дней от сегодняшней даты до указанной (отрицательное для прошедших дат)
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @param {string} [todayKey] - Сегодняшняя дата YYYY-MM-DD
+     * @returns {number}
+     */
+    getLeadDays(dateKey, todayKey = this.getTodayKey()) {
+        const toUTC = key => {
+            const [year, month, day] = key.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(dateKey) - toUTC(todayKey)) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Проверка и приведение правила по сроку до даты
+     * Правило действует, если до даты от minDays до maxDays дней включительно (maxDays: null - без ограничения).
+     * @param {Object} rule - {name, minDays, maxDays, type, value}
+     * @returns {Object|null} - Нормализованное правило или null, если правило некорректно
+     */
+    normalizeLeadTimeRule(rule) {
+        const value = Number(rule && rule.value);
+        const minDays = rule && rule.minDays !== undefined && rule.minDays !== null && rule.minDays !== '' ? parseInt(rule.minDays) : 0;
+        const maxDays = rule && rule.maxDays !== undefined && rule.maxDays !== null && rule.maxDays !== '' ? parseInt(rule.maxDays) : null;
+
+        if (!rule || isNaN(minDays) || minDays < 0 || (maxDays !== null && (isNaN(maxDays) || maxDays < minDays))) {
+            console.error('[CalendarModel] Некорректный срок правила по сроку до даты:', rule);
+            return null;
+        }
+
+        if (!Object.values(PRICING_RULE_TYPES).includes(rule.type) || isNaN(value)) {
+            console.error('[CalendarModel] Некорректный тип или значение правила по сроку до даты:', rule);
+            return null;
+        }
+
+        return {
+            id: rule.id || `lead-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: String(rule.name || '').trim() || (maxDays === null ? `${minDays}+ дн.` : `${minDays}-${maxDays} дн.`),
+            minDays,
+            maxDays,
+            type: rule.type,
+            value
+        };
+    }
+
+    /**
+     * Правило по сроку до даты, действующее для указанной даты
+     * Прошедшие даты не корректируются; при пересечении сроков побеждает правило, указанное позже.
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @param {string} [todayKey] - Сегодняшняя дата YYYY-MM-DD
+     * @returns {Object|null} - Правило с полем leadDays или null
+     */
+    getLeadTimeRuleForDate(dateKey, todayKey = this.getTodayKey()) {
+        const leadDays = this.getLeadDays(dateKey, todayKey);
+        if (leadDays < 0) return null;
+
+        const rule = (this.settings.leadTimeRules || [])
+            .filter(item => {
+                const hasMaxDays = item.maxDays !== undefined && item.maxDays !== null && item.maxDays !== '';
+                return leadDays >= (Number(item.minDays) || 0) && (!hasMaxDays || leadDays <= Number(item.maxDays));
+            })
+            .pop();
+
+        return rule ? { ...rule, leadDays } : null;
+    }
+
+    /**
+     * Применение корректировки (правила ценообразования или цены дня недели) к цене
+     * @param {Object} adjustment - Корректировка {type, value}
+     * @param {number} price - Исходная цена
+     * @returns {number}
+     */
+    applyAdjustment(adjustment, price) {
+        switch (adjustment.type) {
+            case PRICING_RULE_TYPES.FIXED:
+                return Math.max(0, Math.round(adjustment.value));
+            case PRICING_RULE_TYPES.PERCENT:
+                return Math.max(0, Math.round(price * (100 + adjustment.value) / 100));
+            case PRICING_RULE_TYPES.AMOUNT:
+                return Math.max(0, Math.round(price + adjustment.value));
+            default:
+                return price;
+        }
+    }
+
+    /**
+     * Слои цены дня
+     * base (цена месяца по умолчанию или базовая цена) -> rule -> weekday -> leadTime -> discount -> override
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @param {Object} [monthData] - Запись месяца (по умолчанию из data.basePrices)
+     * @param {string} [todayKey] - Сегодняшняя дата YYYY-MM-DD (передается при расчете многих дней подряд)
+     * @returns {Object} - {base, rule, weekdayAdjustment, leadTimeRule, discount, override, price, steps}
+     */
+    getPriceLayers(dateKey, monthData = this.data.basePrices[dateKey.slice(0, 7)], todayKey = this.getTodayKey()) {
+        const record = monthData || {};
+        const hasMonthCost = record.defaultCost !== undefined;
+        let price = hasMonthCost ? record.defaultCost : this.getBasePrice();
+        const base = price;
+
+        // Шаги расчета: слой и цена после его применения
+        const steps = [{ layer: PRICE_LAYERS.BASE, source: hasMonthCost ? 'month' : 'settings', price }];
+
+        const rule = this.getPricingRuleForDate(dateKey);
+        if (rule) {
+            price = this.applyAdjustment(rule, price);
+            steps.push({ layer: PRICE_LAYERS.RULE, rule, price });
+        }
+
+        const weekdayAdjustment = this.getWeekdayAdjustment(dateKey);
+        if (weekdayAdjustment) {
+            price = this.applyAdjustment(weekdayAdjustment, price);
+            steps.push({ layer: PRICE_LAYERS.WEEKDAY, dayOfWeek: this.getDayOfWeek(dateKey), adjustment: weekdayAdjustment, price });
+        }
+
+        const leadTimeRule = this.getLeadTimeRuleForDate(dateKey, todayKey);
+        if (leadTimeRule) {
+            price = this.applyAdjustment(leadTimeRule, price);
+            steps.push({ layer: PRICE_LAYERS.LEAD_TIME, rule: leadTimeRule, price });
+        }
+
+        const discountItem = (record.discounts || []).find(item => item.date === dateKey);
+        if (discountItem) {
+            price = this.applyDiscount(price, discountItem.discount);
+            steps.push({ layer: PRICE_LAYERS.DISCOUNT, discount: discountItem.discount, price });
+        }
+
+        const overrideItem = (record.prices || []).find(item => item.date === dateKey);
+        if (overrideItem) {
+            price = overrideItem.price;
+            steps.push({ layer: PRICE_LAYERS.OVERRIDE, price });
+        }
+
+        return {
+            base,
+            rule,
+            weekdayAdjustment,
+            leadTimeRule,
+            discount: discountItem ? discountItem.discount : null,
+            override: overrideItem ? overrideItem.price : null,
+            price,
+            steps
+        };
+    }
+
+    /**
+     * Разбор цены дня по шагам
+     * Для заблокированного дня показывается цена, сохраненная при блокировке, вместо слоев.
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @param {number} [nights] - Число ночей диапазона, в который входит дата (для скидки за длительность)
+     * @returns {Object} - {date, price, blocked, steps: [{layer, price, ...}]}
+     */
+    getPriceBreakdown(dateKey, nights = 0) {
+        const monthKey = dateKey.slice(0, 7);
+
+        if (this.isDateBlocked(dateKey, monthKey)) {
+            const blockedItem = this.getBlockedItem(dateKey, monthKey);
+            const step = {
+                layer: PRICE_LAYERS.BLOCKED,
+                source: blockedItem.source || null,
+                category: blockedItem.category,
+                label: blockedItem.label || null,
+                price: blockedItem.price
+            };
+            return { date: dateKey, price: step.price, blocked: true, steps: [step] };
+        }
+
+        const layers = this.getPriceLayers(dateKey);
+        const steps = [...layers.steps];
+        let price = layers.price;
+
+        const stayTier = nights ? this.getStayDiscountForNights(nights) : null;
+        if (stayTier) {
+            price = this.applyDiscount(price, stayTier.percent);
+            steps.push({ layer: PRICE_LAYERS.STAY, ...stayTier, price });
+        }
+
+        return { date: dateKey, price, blocked: false, steps };
+    }
+
+    /**
+     * Настройки расчета стоимости с подставленными значениями по умолчанию
+     * @returns {Object} - {unit, hoursPerDay, fees: [{name, amount}], taxes: [{name, percent}]}
+     */
+    getQuoteSettings() {
+        const quote = { ...DEFAULT_QUOTE_SETTINGS, ...(this.settings.quote || {}) };
+
+        return {
+            unit: Object.values(QUOTE_UNITS).includes(quote.unit) ? quote.unit : QUOTE_UNITS.NIGHT,
+            hoursPerDay: Number(quote.hoursPerDay) > 0 ? Number(quote.hoursPerDay) : DEFAULT_QUOTE_SETTINGS.hoursPerDay,
+            fees: (quote.fees || [])
+                .map(fee => ({ name: String(fee.name || ''), amount: Number(fee.amount) || 0 }))
+                .filter(fee => fee.amount !== 0),
+            taxes: (quote.taxes || [])
+                .map(tax => ({ name: String(tax.name || ''), percent: Number(tax.percent) || 0 }))
+                .filter(tax => tax.percent !== 0)
+        };
+    }
+
+    /**
+     * Ступени скидки за длительность проживания, отсортированные по минимальному числу ночей
+     * @returns {Array<Object>} - [{minNights, percent}]
+     */
+    getStayDiscounts() {
+        return (this.settings.stayDiscounts || [])
+            .map(tier => ({
+                minNights: Math.max(1, parseInt(tier.minNights) || 0),
+                percent: Math.min(100, Math.max(0, Number(tier.percent) || 0))
+            }))
+            .filter(tier => tier.percent > 0)
+            .sort((a, b) => a.minNights - b.minNights);
+    }
+
+    /**
+     * Ступень скидки за длительность проживания для указанного числа ночей
+     * Действует ступень с наибольшим порогом, не превышающим число ночей.
+     * @param {number} nights - Число ночей (при почасовом расчете - число дней)
+     * @returns {Object|null} - {minNights, percent}
+     */
+    getStayDiscountForNights(nights) {
+        return this.getStayDiscounts().filter(tier => nights >= tier.minNights).pop() || null;
+    }
+
+    /**
+     * Расчет стоимости диапазона
+     * При посуточном расчете день выезда (endKey) не оплачивается; диапазон из одного дня считается одной ночью.
+     * Скидка за длительность применяется к стоимости дней и не меняет сохраненные цены.
+     * @param {string} startKey - Начало диапазона YYYY-MM-DD
+     * @param {string} endKey - Конец диапазона YYYY-MM-DD
+     * @returns {Object} - {start, end, currency, unit, quantity, days, subtotal, stayDiscount, fees, taxes, total, available, blockedDates}
+     */
+    getQuote(startKey, endKey) {
+        const settings = this.getQuoteSettings();
+        const isHourly = settings.unit === QUOTE_UNITS.HOUR;
+        const days = [];
+        const blockedDates = [];
+
+        this.forEachDateInRange(startKey, endKey, (dateKey, monthKey) => {
+            if (!isHourly && dateKey === endKey && dateKey !== startKey) return;
+
+            if (this.isDateBlocked(dateKey, monthKey)) {
+                blockedDates.push(dateKey);
+            }
+
+            const price = this.getPriceForDay(dateKey);
+            const quantity = isHourly ? settings.hoursPerDay : 1;
+            days.push({ date: dateKey, price, quantity, amount: Math.round(price * quantity) });
+        });
+
+        const subtotal = days.reduce((sum, day) => sum + day.amount, 0);
+
+        const stayTier = this.getStayDiscountForNights(days.length);
+        const stayDiscount = stayTier
+            ? { ...stayTier, amount: Math.round(subtotal * stayTier.percent / 100) }
+            : null;
+        const discountedSubtotal = subtotal - (stayDiscount ? stayDiscount.amount : 0);
+
+        const feesTotal = settings.fees.reduce((sum, fee) => sum + fee.amount, 0);
+        const taxes = settings.taxes.map(tax => ({
+            ...tax,
+            amount: Math.round((discountedSubtotal + feesTotal) * tax.percent / 100)
+        }));
+
+        return {
+            start: startKey,
+            end: endKey,
+            currency: this.settings.currency || DEFAULT_MODEL_SETTINGS.currency,
+            unit: settings.unit,
+            quantity: days.reduce((sum, day) => sum + day.quantity, 0),
+            days,
+            subtotal,
+            stayDiscount,
+            fees: settings.fees,
+            taxes,
+            total: discountedSubtotal + feesTotal + taxes.reduce((sum, tax) => sum + tax.amount, 0),
+            available: blockedDates.length === 0,
+            blockedDates
+        };
+    }
+
+    /**
+     * Цена для дня (результат применения всех слоев цены)
+     * @param {string} dateKey - Дата в формате YYYY-MM-DD
+     * @returns {number}
+     */
+    getPriceForDay(dateKey) {
+        return this.getPriceLayers(dateKey).price;
+    }
+}
+
+// Подключение через <script type="module"> делает модель доступной для a8.js
+if (typeof window !== 'undefined') {
+    window.CalendarModel = CalendarModel;
+    window.PRICING_RULE_TYPES = PRICING_RULE_TYPES;
+    window.PRICE_LAYERS = PRICE_LAYERS;
+    window.BLOCK_CATEGORIES = BLOCK_CATEGORIES;
+    window.QUOTE_UNITS = QUOTE_UNITS;
+    window.toDateKey = toDateKey;
+}
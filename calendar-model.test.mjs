@@ -0,0 +1,130 @@
+/**
+ * Тесты CalendarModel без браузера
+ * Запуск: node --test calendar-model.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalendarModel, PRICE_LAYERS, PRICING_RULE_TYPES, BLOCK_CATEGORIES, QUOTE_UNITS } from './calendar-model.mjs';
+
+// 2030-01-05 - суббота, 2030-01-07 - понедельник
+const createModel = (settings = {}) => new CalendarModel({
+    settings: { defaultPrice: 1000, ...settings }
+});
+
+test('слои цены применяются по порядку: base -> rule -> weekday -> discount -> override', () => {
+    const model = createModel({
+        pricingRules: [{ name: 'Сезон', start: '2030-01-01', end: '2030-01-31', priority: 0, type: PRICING_RULE_TYPES.AMOUNT, value: 200 }],
+        weekdayPrices: { 6: { type: PRICING_RULE_TYPES.PERCENT, value: 50 } }
+    });
+
+    assert.equal(model.getPriceForDay('2030-01-07'), 1200);
+    assert.equal(model.getPriceForDay('2030-01-05'), 1800);
+
+    model.setRangeDiscount('2030-01-05', '2030-01-06', '10%');
+    assert.equal(model.getPriceForDay('2030-01-05'), 1620);
+
+    model.setPriceOverride('2030-01-05', '2030-01-05', 700);
+    const layers = model.getPriceLayers('2030-01-05');
+    assert.equal(layers.price, 700);
+    assert.deepEqual(layers.steps.map(step => step.layer), [
+        PRICE_LAYERS.BASE, PRICE_LAYERS.RULE, PRICE_LAYERS.WEEKDAY, PRICE_LAYERS.DISCOUNT, PRICE_LAYERS.OVERRIDE
+    ]);
+});
+
+test('удаление слоя не затрагивает остальные слои', () => {
+    const model = createModel();
+    model.setRangeDiscount('2030-01-07', '2030-01-08', 20);
+    model.setPriceOverride('2030-01-08', '2030-01-08', 500);
+
+    model.clearLayer(PRICE_LAYERS.OVERRIDE);
+    assert.equal(model.getPriceForDay('2030-01-08'), 800);
+
+    model.clearLayer(PRICE_LAYERS.DISCOUNT, '2030-01-07', '2030-01-07');
+    assert.equal(model.getPriceForDay('2030-01-07'), 1000);
+    assert.equal(model.getPriceForDay('2030-01-08'), 800);
+});
+
+test('месяц без собственной цены следует базовой цене', () => {
+    const model = createModel();
+    model.setRangeDiscount('2030-01-07', '2030-01-07', 10);
+    assert.equal(model.getPriceForDay('2030-01-07'), 900);
+
+    model.settings.defaultPrice = 2000;
+    assert.equal(model.getPriceForDay('2030-01-07'), 1800);
+    assert.equal(model.getPriceForDay('2030-01-08'), 2000);
+});
+
+test('источник базовой цены имеет приоритет над настройками', () => {
+    let inputValue = '1500';
+    const model = new CalendarModel({ settings: { defaultPrice: 1000 }, basePrice: () => inputValue });
+
+    assert.equal(model.getPriceForDay('2030-01-07'), 1500);
+    inputValue = '';
+    assert.equal(model.getPriceForDay('2030-01-07'), 0);
+});
+
+test('getQuote: ночи без дня выезда, скидка за длительность, сборы и налоги', () => {
+    const model = createModel({
+        stayDiscounts: [{ minNights: 3, percent: 10 }],
+        quote: { fees: [{ name: 'Уборка', amount: 500 }], taxes: [{ name: 'НДС', percent: 20 }] }
+    });
+
+    const quote = model.getQuote('2030-01-07', '2030-01-10');
+    assert.equal(quote.quantity, 3);
+    assert.deepEqual(quote.days.map(day => day.date), ['2030-01-07', '2030-01-08', '2030-01-09']);
+    assert.equal(quote.subtotal, 3000);
+    assert.equal(quote.stayDiscount.amount, 300);
+    assert.deepEqual(quote.taxes, [{ name: 'НДС', percent: 20, amount: 640 }]);
+    assert.equal(quote.total, 3840);
+    assert.equal(quote.available, true);
+});
+
+test('getQuote: почасовой расчет и заблокированные даты', () => {
+    const model = createModel({ quote: { unit: QUOTE_UNITS.HOUR, hoursPerDay: 8 } });
+    model.blockDates('2030-01-08', '2030-01-08', { price: 0 });
+
+    const quote = model.getQuote('2030-01-07', '2030-01-08');
+    assert.equal(quote.quantity, 16);
+    assert.equal(quote.subtotal, 16000);
+    assert.equal(quote.available, false);
+    assert.deepEqual(quote.blockedDates, ['2030-01-08']);
+});
+
+test('blockDates блокирует диапазон через границу месяцев без дубликатов', () => {
+    const model = createModel();
+    const affected = model.blockDates('2030-01-30', '2030-02-02', { source: 'airbnb', label: ' Гость ' });
+
+    assert.equal(affected.length, 4);
+    assert.deepEqual(Object.keys(model.data.blockedDates), ['2030-01', '2030-02']);
+    assert.deepEqual(model.getBlockedItem('2030-02-01', '2030-02'), {
+        date: '2030-02-01', price: 1000, category: BLOCK_CATEGORIES.BOOKED, label: 'Гость', source: 'airbnb'
+    });
+
+    model.blockDates('2030-01-31', '2030-01-31', { category: BLOCK_CATEGORIES.OWNER });
+    assert.equal(model.data.blockedDates['2030-01'].length, 2);
+    assert.equal(model.getBlockedItem('2030-01-31', '2030-01').category, BLOCK_CATEGORIES.BOOKED);
+});
+
+test('unblockDates снимает только выбранные дни и удаляет пустые месяцы', () => {
+    const model = createModel();
+    model.blockDates('2030-01-30', '2030-02-02');
+
+    const unblocked = model.unblockDates('2030-01-29', '2030-01-31');
+    assert.deepEqual(unblocked.map(day => day.date), ['2030-01-30', '2030-01-31']);
+    assert.equal(model.data.blockedDates['2030-01'], undefined);
+    assert.equal(model.isDateBlocked('2030-02-01', '2030-02'), true);
+
+    model.setPriceOverride('2030-02-01', '2030-02-01', 300);
+    assert.equal(model.getPriceForDay('2030-02-01'), 1000);
+});
+
+test('getPriceLayers: правило по сроку считается от переданной сегодняшней даты', () => {
+    const model = createModel({
+        leadTimeRules: [{ name: 'Горящее', minDays: 0, maxDays: 3, type: PRICING_RULE_TYPES.PERCENT, value: -20 }]
+    });
+
+    assert.equal(model.getPriceLayers('2030-01-07', undefined, '2030-01-05').price, 800);
+    assert.equal(model.getPriceLayers('2030-01-07', undefined, '2029-12-01').price, 1000);
+    assert.equal(model.getPriceLayers('2030-01-07', undefined, '2030-01-08').price, 1000);
+});